@@ -0,0 +1,381 @@
+/** MockWaveLinkServer
+ * Stand-in for Wave Link's JSON-RPC WebSocket server, so the plugin can be
+ * developed and tested without a Windows box running Wave Link.
+ *
+ * Run it with `npm run mock-server` and poke at `server` in the REPL, i.e.
+ * `server.setChannel("pcm_out_01_v_02_sd3", { localVolumeIn: 20 })`
+ */
+import { WebSocketServer, WebSocket } from "ws"
+import { AddressInfo } from "net"
+import repl from "repl"
+import { simple_jsonrpc } from "../src/simple-jsonrpc"
+
+export interface MockFilter {
+  active: boolean
+  filterID: string
+  name: string
+  pluginID: string
+}
+
+// NB: Same shape (and field names) as inputMixerChanged's params
+export interface MockChannel {
+  mixerName: string
+  mixId: string
+  bgColor: string
+  isLinked: boolean
+  deltaLinked: number
+  localVolumeIn: number
+  streamVolumeIn: number
+  isLocalInMuted: boolean
+  isStreamInMuted: boolean
+  isAvailable: boolean
+  filters: MockFilter[]
+  localMixFilterBypass: boolean
+  streamMixFilterBypass: boolean
+  iconData: string
+  inputType: number
+}
+
+export interface MockOutput {
+  localVolumeOut: number
+  streamVolumeOut: number
+  isLocalOutMuted: boolean
+  isStreamOutMuted: boolean
+}
+
+export interface MockMicSettings {
+  microphoneGain: number
+  microphoneOutputVolume: number
+  microphoneBalance: number
+  isMicrophoneLowcutOn: boolean
+  isMicrophoneClipguardOn: boolean
+}
+
+export interface MockState {
+  applicationInfo: Record<string, unknown>
+  channels: MockChannel[]
+  output: MockOutput
+  switchState: string
+  isMicrophoneConnected: boolean
+  micSettings: MockMicSettings
+  monitorMix: string
+  monitorMixList: string[]
+}
+
+export interface MockServerOptions {
+  host?: string
+  // Explicit port, otherwise the first free one between startPort and endPort
+  port?: number
+  startPort?: number
+  endPort?: number
+  state?: Partial<MockState>
+}
+
+type Handler = (params: any) => unknown
+
+export function mockChannel(
+  mixId: string,
+  mixerName: string,
+  changes: Partial<MockChannel> = {}
+): MockChannel {
+  return {
+    mixerName,
+    mixId,
+    bgColor: "#1E183C",
+    isLinked: false,
+    deltaLinked: 0,
+    localVolumeIn: 100,
+    streamVolumeIn: 100,
+    isLocalInMuted: false,
+    isStreamInMuted: false,
+    isAvailable: true,
+    filters: [],
+    localMixFilterBypass: false,
+    streamMixFilterBypass: false,
+    iconData: "",
+    inputType: 4,
+    ...changes,
+  }
+}
+
+export function defaultMockState(): MockState {
+  return {
+    applicationInfo: {
+      appID: "EWL",
+      appName: "Elgato Wave Link",
+      appVersion: {
+        appVersionMajorRelease: 1,
+        appVersionMinorRelease: 6,
+        appVersionPatchLevel: 1,
+        appVersionBuildNumber: 3254,
+      },
+      interfaceRevision: 3,
+      version: "1.6.1 (3254)",
+    },
+    channels: [
+      mockChannel("pcm_in_01_c_00_sd1", "Wave XLR", { inputType: 1 }),
+      mockChannel("pcm_out_01_v_00_sd2", "System"),
+      mockChannel("pcm_out_01_v_02_sd3", "Music", {
+        filters: [
+          {
+            active: true,
+            filterID: "filter_1",
+            name: "Compressor",
+            pluginID: "compressor",
+          },
+        ],
+      }),
+      mockChannel("pcm_out_01_v_06_sd5", "Voice Chat"),
+      mockChannel("pcm_out_01_v_10_sd7", "Game"),
+    ],
+    output: {
+      localVolumeOut: 100,
+      streamVolumeOut: 100,
+      isLocalOutMuted: false,
+      isStreamOutMuted: false,
+    },
+    switchState: "LocalMix",
+    isMicrophoneConnected: true,
+    micSettings: {
+      microphoneGain: 50,
+      microphoneOutputVolume: 80,
+      microphoneBalance: 50,
+      isMicrophoneLowcutOn: false,
+      isMicrophoneClipguardOn: false,
+    },
+    monitorMix: "Headphones (Wave XLR)",
+    monitorMixList: ["Headphones (Wave XLR)", "Speakers (Realtek Audio)"],
+  }
+}
+
+export default class MockWaveLinkServer {
+  state: MockState
+  // Every request we've received, oldest first
+  calls: { method: string; params: any }[] = []
+
+  private options: MockServerOptions
+  private server: WebSocketServer | null = null
+  private clients = new Map<WebSocket, any>()
+  private handlers: Record<string, Handler> = {}
+
+  constructor(options: MockServerOptions = {}) {
+    this.options = options
+    this.state = { ...defaultMockState(), ...options.state }
+
+    this.handlers = {
+      getApplicationInfo: () => this.state.applicationInfo,
+      getAllChannelInfo: () => this.state.channels,
+      getMonitoringState: () => this.state.output,
+      getSwitchState: () => ({ switchState: this.state.switchState }),
+      getMicrophoneState: () => ({
+        isMicrophoneConnected: this.state.isMicrophoneConnected,
+      }),
+      getMicrophoneSettings: () => this.state.micSettings,
+      getMonitorMixOutputList: () => ({
+        monitorMix: this.state.monitorMix,
+        monitorMixList: this.state.monitorMixList.map((monitorMix) => ({
+          monitorMix,
+        })),
+      }),
+      setInputMixer: (params) => {
+        const channel = this.findChannel(params.mixId)
+        if (!channel) throw new Error(`Unknown channel ${params.mixId}`)
+
+        const { mixId, slider, ...changes } = params
+        Object.assign(channel, changes)
+        return channel
+      },
+      setOutputMixer: (params) => Object.assign(this.state.output, params),
+      switchMonitoring: (params) => {
+        this.state.switchState = params.switchState
+        return { switchState: this.state.switchState }
+      },
+      setMicrophoneSettings: (params) =>
+        Object.assign(this.state.micSettings, params),
+      setMonitorMixOutput: (params) => {
+        this.state.monitorMix = params.monitorMix
+        return { monitorMix: this.state.monitorMix }
+      },
+    }
+  }
+
+  get port() {
+    return this.server ? (this.server.address() as AddressInfo).port : null
+  }
+
+  get connectionCount() {
+    return this.clients.size
+  }
+
+  // Starts listening, on the first free port in the range unless we were
+  // given one. Resolves to the port.
+  async listen(): Promise<number> {
+    const startPort = this.options.port ?? this.options.startPort ?? 1824
+    const endPort = this.options.port ?? this.options.endPort ?? 1834
+
+    for (let port = startPort; port <= endPort; port++) {
+      try {
+        await this.listenOn(port)
+        return port
+      } catch (e: any) {
+        if (e.code !== "EADDRINUSE") throw e
+      }
+    }
+
+    throw new Error(`No free port between ${startPort} and ${endPort}`)
+  }
+
+  close() {
+    return new Promise<void>((res) => {
+      this.dropConnections()
+      if (!this.server) return res()
+
+      this.server.close(() => res())
+      this.server = null
+    })
+  }
+
+  // Simulates Wave Link going away without closing the server, i.e. a crash
+  dropConnections() {
+    this.clients.forEach((_, ws) => ws.terminate())
+    this.clients.clear()
+  }
+
+  // Replace (or add) how a method is answered, i.e. to return an error or
+  // to never answer at all
+  handle(method: string, handler: Handler) {
+    this.handlers[method] = handler
+  }
+
+  unhandle(method: string) {
+    delete this.handlers[method]
+  }
+
+  findChannel(mixId: string) {
+    return this.state.channels.find((x) => x.mixId === mixId)
+  }
+
+  notify(method: string, params: Record<string, unknown>) {
+    this.clients.forEach((rpc) => rpc.notification(method, params))
+  }
+
+  //
+  // Change state the way Wave Link would and tell connected clients about it
+  //
+
+  setChannel(mixId: string, changes: Partial<MockChannel>) {
+    const channel = this.findChannel(mixId)
+    if (!channel) throw new Error(`Unknown channel ${mixId}`)
+
+    Object.assign(channel, changes)
+    this.notify("inputMixerChanged", { ...channel })
+  }
+
+  setChannels(channels: MockChannel[]) {
+    this.state.channels = channels
+    this.notify("channelsChanged", { channels })
+  }
+
+  addChannel(channel: MockChannel) {
+    this.setChannels([...this.state.channels, channel])
+  }
+
+  removeChannel(mixId: string) {
+    this.setChannels(this.state.channels.filter((x) => x.mixId !== mixId))
+  }
+
+  setOutput(changes: Partial<MockOutput>) {
+    Object.assign(this.state.output, changes)
+    this.notify("outputMixerChanged", { ...this.state.output })
+  }
+
+  setSwitchState(switchState: string) {
+    this.state.switchState = switchState
+    this.notify("monitorSwitchOutputChanged", { switchState })
+  }
+
+  setMicSettings(changes: Partial<MockMicSettings>) {
+    Object.assign(this.state.micSettings, changes)
+    this.notify("microphoneSettingsChanged", { ...this.state.micSettings })
+  }
+
+  setMicrophoneConnected(isMicrophoneConnected: boolean) {
+    this.state.isMicrophoneConnected = isMicrophoneConnected
+    this.notify("microphoneStateChanged", { isMicrophoneConnected })
+  }
+
+  setMonitorMix(monitorMix: string) {
+    this.state.monitorMix = monitorMix
+    this.notify("localMonitorOutputChanged", { monitorMix })
+  }
+
+  setMonitorMixList(monitorMixList: string[]) {
+    this.state.monitorMixList = monitorMixList
+    // NB: Wave Link doesn't have a notification for this, clients refetch
+    // the list when the microphone state changes
+    this.setMicrophoneConnected(this.state.isMicrophoneConnected)
+  }
+
+  private listenOn(port: number) {
+    return new Promise<void>((res, rej) => {
+      const server = new WebSocketServer({
+        host: this.options.host ?? "127.0.0.1",
+        port,
+      })
+
+      server.once("error", rej)
+      server.once("listening", () => {
+        server.off("error", rej)
+        this.server = server
+        server.on("connection", (ws) => this.accept(ws))
+        res()
+      })
+    })
+  }
+
+  private accept(ws: WebSocket) {
+    const rpc = new simple_jsonrpc()
+    rpc.toStream = (msg: string) => ws.send(msg)
+
+    // NB: Handlers can be added / removed with handle() while clients are
+    // connected, so we catch up before handling every message
+    const registered = new Set<string>()
+    const syncHandlers = () => {
+      registered.forEach((method) => {
+        if (this.handlers[method]) return
+
+        rpc.off(method)
+        registered.delete(method)
+      })
+
+      Object.keys(this.handlers).forEach((method) => {
+        if (registered.has(method)) return
+
+        rpc.on(method, "pass", (params: any) => {
+          this.calls.push({ method, params })
+          return this.handlers[method](params)
+        })
+        registered.add(method)
+      })
+    }
+
+    ws.on("message", (data) => {
+      syncHandlers()
+      rpc.messageHandler(data.toString())
+    })
+
+    ws.on("close", () => this.clients.delete(ws))
+    this.clients.set(ws, rpc)
+  }
+}
+
+if (require.main === module) {
+  const port = process.argv[2] ? parseInt(process.argv[2]) : undefined
+  const server = new MockWaveLinkServer({ port })
+
+  server.listen().then((port) => {
+    console.log(`Mock Wave Link listening on ws://127.0.0.1:${port}`)
+
+    repl.start("wave-link> ").context.server = server
+  })
+}
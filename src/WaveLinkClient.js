@@ -1,27 +1,48 @@
-import { simple_jsonrpc } from "./simple-jsonrpc"
+import { ERRORS, RequestError, simple_jsonrpc } from "./simple-jsonrpc"
 import ELGEvents from "./ELGEvents"
+import { defaultProtocols } from "./protocols"
+import { notificationSchemas, responseSchemas, validate } from "./schemas"
+import WaveLinkState from "./state"
 
 class WaveLinkClient {
-  constructor(system) {
-    this.init(system)
+  constructor(system, options = {}) {
+    this.init(system, options)
   }
 
-  init(system) {
+  init(system, options = {}) {
     debug("Init WLC...")
-    this.host = "127.0.0.1"
-
-    this.startPort = 1824
-    this.endPort = this.startPort + 10
-    this.port = this.startPort
+    this.host = options.host ?? "127.0.0.1"
+
+    this.startPort = options.startPort ?? 1824
+    this.endPort = options.endPort ?? this.startPort + 10
+    // NB: options.port is where we found Wave Link last time, it's tried
+    // before scanning the whole range
+    this.port =
+      options.port >= this.startPort && options.port <= this.endPort
+        ? options.port
+        : this.startPort
+    // How long (in ms) a port gets to turn out to be Wave Link, a
+    // firewalled one would otherwise keep us waiting until the OS gives up
+    this.probeTimeout = 2000
 
     this.UP_MAC = system == "mac" ? true : false
     this.UP_WINDOWS = system == "windows" ? true : false
 
     this.isWLUpToDate = false
 
+    // See protocols.js, we pick one once we know who we're talking to
+    this.protocols = options.protocols ?? defaultProtocols
+    this.protocol = null
+    // [method, params] of notifications that came in before we knew
+    this.pendingNotifications = []
+
+    // Filled in by getApplicationInfo() once we're connected
+    this.appVersion = null
+    this.interfaceRevision = null
+    this.capabilities = {}
+
     this.appIsRunning = false
     this.isConnected = false
-    this.isKeyUpdated = false
 
     this.event = ELGEvents.eventEmitter()
     this.on = this.event.on.bind(this.event)
@@ -36,21 +57,40 @@ class WaveLinkClient {
 
     this.websocket = null
 
-    this.output = {}
-    this.mixers = []
+    // Channels, outputs, mic settings etc. all live in here, see the
+    // accessors further down
+    this.state = new WaveLinkState()
 
-    this.isMicrophoneConnected
-    this.micSettings
-    this.localOutputList
-    this.selectedMonitorMix
-    this.switchState
+    // (mixerTyp, mixerId, slider) => { min, max } or undefined, volumes we
+    // set are kept within those
+    this.volumeLimits = options.volumeLimits ?? (() => undefined)
 
     this.fadingDelay = 100
+    this.writeQueues = {}
+    // Channel => the slider its next setInputMixer is about, see there
+    this.pendingSliders = {}
+    // The scene being recalled, if any, see applyScene()
+    this.sceneRecall = Promise.resolve()
+
+    this.autoReconnect = true
+    this.reconnectDelay = options.reconnectDelay ?? 5000
+    this.reconnectTimer = null
+
+    // A half-open socket never closes by itself, so we poke Wave Link every
+    // heartbeatInterval ms and give up on it after too many go unanswered
+    this.heartbeatInterval = options.heartbeatInterval ?? 5000
+    this.maxMissedHeartbeats = options.maxMissedHeartbeats ?? 2
+    this.missedHeartbeats = 0
+    this.heartbeatTimer = null
   }
 
-  tryToConnect() {
+  // Connects to this.port, or takes over a connection findWaveLink() already
+  // opened there
+  tryToConnect(
+    websocket = new WebSocket("ws://" + this.host + ":" + this.port)
+  ) {
     debug("Trying to connect to port: " + this.port)
-    this.websocket = new WebSocket("ws://" + this.host + ":" + this.port)
+    this.websocket = websocket
     this.websocket.rpc = this.rpc
 
     this.websocket.onmessage = function (evt) {
@@ -64,21 +104,247 @@ class WaveLinkClient {
     }
 
     return new Promise((res, rej) => {
-      this.websocket.onopen = async () => {
+      const timer = setTimeout(() => {
+        rej(new Error(`No answer on port ${this.port}`))
+        websocket.terminate ? websocket.terminate() : websocket.close()
+      }, this.probeTimeout)
+
+      const opened = () => {
         debug("Connection established")
-        await this.initRPC().then((x) => res(x))
+        this.initRPC().then(
+          (x) => {
+            clearTimeout(timer)
+            this.setConnectState(true)
+            // NB: Only watch for drops once we know we're talking to Wave
+            // Link, failed attempts are handled by whoever called us
+            websocket.onclose = () => {
+              if (websocket === this.websocket) this.connectionClosed()
+            }
+            res(x)
+          },
+          (e) => {
+            clearTimeout(timer)
+            websocket.close()
+            rej(e)
+          }
+        )
       }
 
       this.websocket.onerror = (e) => {
+        clearTimeout(timer)
         debug("Connection Error")
-        this.reconnect()
         rej(e)
       }
+
+      if (websocket.readyState === WebSocket.OPEN) opened()
+      else websocket.onopen = opened
+    })
+  }
+
+  // Finds Wave Link and connects to it, trying the port we were last
+  // connected to before scanning the whole range
+  async connect() {
+    try {
+      return await this.tryToConnect()
+    } catch (e) {
+      debug("Wave Link isn't on port " + this.port)
+    }
+
+    const { port, websocket } = await this.findWaveLink()
+    this.port = port
+    return this.tryToConnect(websocket)
+  }
+
+  // Probes every port in the range at once, resolves to the first one that
+  // turns out to be Wave Link and the connection the probe left open on it
+  findWaveLink() {
+    const ports = []
+    for (let port = this.startPort; port <= this.endPort; port++) {
+      ports.push(port)
+    }
+
+    return new Promise((res, rej) => {
+      let found = false
+      let failed = 0
+      ports.forEach((port) =>
+        this.probePort(port).then(
+          (websocket) => {
+            // NB: Only one of them gets to be the connection
+            if (found) return websocket.close()
+
+            found = true
+            res({ port, websocket })
+          },
+          () => {
+            failed++
+            if (failed === ports.length) {
+              rej(
+                new Error(
+                  `Wave Link not found on ports ${this.startPort}-${this.endPort}`
+                )
+              )
+            }
+          }
+        )
+      )
+    })
+  }
+
+  // Asks whatever is listening on the port who it is, on its own connection
+  // so probes don't get in each other's (or our) way. Resolves to that
+  // connection if it's Wave Link, hangs up otherwise.
+  probePort(port) {
+    return new Promise((res, rej) => {
+      const websocket = new WebSocket("ws://" + this.host + ":" + port)
+      const rpc = new simple_jsonrpc()
+      rpc.toStream = (msg) => websocket.send(msg)
+
+      // NB: Something that accepts the connection but never answers (or never
+      // finishes the handshake) mustn't hold up the whole scan
+      const timer = setTimeout(() => websocket.close(), this.probeTimeout)
+
+      websocket.onmessage = (evt) => rpc.messageHandler(evt.data)
+      websocket.onerror = (e) => rej(e)
+      websocket.onclose = () => {
+        clearTimeout(timer)
+        rpc.rejectAll()
+        rej(new Error("Connection closed"))
+      }
+      websocket.onopen = () => {
+        rpc
+          .call("getApplicationInfo")
+          .then((result) => {
+            if (!isWaveLink(result)) {
+              this.emit("wrongServer", { host: this.host, port })
+              throw new Error("Wrong WebSocketServer found.")
+            }
+
+            clearTimeout(timer)
+            websocket.onmessage = websocket.onerror = websocket.onclose = null
+            res(websocket)
+          })
+          .catch((e) => {
+            websocket.close()
+            rej(e)
+          })
+      }
     })
   }
 
   disconnect() {
-    this.websocket.close()
+    this.autoReconnect = false
+    clearTimeout(this.reconnectTimer)
+    this.stopHeartbeat()
+    this.websocket?.close()
+  }
+
+  // Gives up on the socket without waiting for it to close, which a
+  // half-open one never would
+  dropConnection() {
+    const websocket = this.websocket
+    // NB: So its onclose doesn't send us through connectionClosed() again
+    this.websocket = null
+    websocket.terminate ? websocket.terminate() : websocket.close()
+    this.connectionClosed()
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat()
+    this.missedHeartbeats = 0
+    this.heartbeatTimer = setInterval(
+      () => this.heartbeat(),
+      this.heartbeatInterval
+    )
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer)
+    this.heartbeatTimer = null
+  }
+
+  heartbeat() {
+    const websocket = this.websocket
+
+    this.call("getSwitchState", undefined, this.heartbeatInterval).then(
+      () => (this.missedHeartbeats = 0),
+      (e) => {
+        // NB: Any answer, even an error, means Wave Link is still there
+        if (e.code !== ERRORS.REQUEST_TIMEOUT.code) return
+        if (websocket !== this.websocket || !this.isConnected) return
+
+        this.missedHeartbeats++
+        debug(`Missed ${this.missedHeartbeats} heartbeat(s)`)
+        if (this.missedHeartbeats >= this.maxMissedHeartbeats) {
+          this.dropConnection()
+        }
+      }
+    )
+  }
+
+  connectionClosed() {
+    debug("Connection closed")
+    this.protocol = null
+    this.setConnectState(false)
+    this.rpc.rejectAll()
+
+    if (this.autoReconnect) {
+      this.scheduleReconnect()
+    }
+  }
+
+  // Keep trying to find Wave Link again (it's probably restarting), starting
+  // with the port we were last connected to
+  scheduleReconnect() {
+    clearTimeout(this.reconnectTimer)
+    this.reconnectTimer = setTimeout(async () => {
+      try {
+        await this.connect()
+      } catch (e) {
+        if (this.autoReconnect) this.scheduleReconnect()
+        return
+      }
+      // NB: disconnect() can't close a connection a port scan hasn't
+      // handed us yet
+      if (!this.autoReconnect) return this.disconnect()
+
+      try {
+        await this.resync()
+        // NB: Unless the connection went away again while we were at it
+        if (this.isConnected) this.emit("reconnected")
+      } catch (e) {
+        debug("Resync failed", e)
+        // Sends us back through connectionClosed()
+        this.websocket.close()
+      }
+    }, this.reconnectDelay)
+  }
+
+  // Re-fetch everything after a reconnect and tell listeners about it as if
+  // Wave Link had sent us the changes itself
+  async resync() {
+    const channelsKey = () =>
+      this.mixers
+        .map((x) => [x.mixerId, ...x.filters.map((f) => f.filterID)].join())
+        .sort()
+        .join("|")
+
+    const previousChannels = channelsKey()
+
+    await this.getMixers()
+    await this.getMonitoringState()
+    await this.getSwitchState()
+
+    // Not every device has these
+    await this.getMicrophoneState().catch((e) => debug(e))
+    await this.getMicrophoneSettings().catch((e) => debug(e))
+    await this.getMonitorMixOutputList().catch((e) => debug(e))
+
+    if (channelsKey() !== previousChannels) this.emit("channelsChanged")
+
+    this.emit("switchStateChanged", this.switchState)
+    this.emit("micSettingsChanged")
+    this.emit("monitorMixListChanged")
+    this.emit("monitorMixChanged")
   }
 
   initRPC() {
@@ -91,183 +357,199 @@ class WaveLinkClient {
       }
     }
 
-    // Setup
-    this.rpc.on(
-      "microphoneStateChanged",
-      ["isMicrophoneConnected"],
-      (isMicrophoneConnected) => {
-        this.isMicrophoneConnected = isMicrophoneConnected
-        this.getMicrophoneSettings()
-        this.getMonitorMixOutputList()
-      }
+    this.rpc.onRequestError = (error) => {
+      debug("Request failed", error)
+      this.emit("requestFailed", error)
+    }
+
+    // NB: Wave Link doesn't wait for us to pick a protocol before it starts
+    // sending notifications
+    this.protocol = null
+    this.pendingNotifications = []
+    new Set(this.protocols.flatMap((x) => x.notifications)).forEach((method) =>
+      this.rpc.on(method, "pass", (params) =>
+        this.dispatchNotification(method, params)
+      )
     )
 
-    this.rpc.on(
-      "microphoneSettingsChanged",
-      [
-        "microphoneGain",
-        "microphoneOutputVolume",
-        "microphoneBalance",
-        "isMicrophoneLowcutOn",
-        "isMicrophoneClipguardOn",
-      ],
-      (
-        microphoneGain,
-        microphoneOutputVolume,
-        microphoneBalance,
-        isMicrophoneLowcutOn,
-        isMicrophoneClipguardOn
-      ) => {
+    return this.getApplicationInfo()
+  }
+
+  // Picks the protocol the server speaks and catches up on the notifications
+  // it sent in the meantime
+  useProtocol(applicationInfo) {
+    const protocol = this.protocols.find((x) => x.supports(applicationInfo))
+    if (!protocol) throw new Error("Unsupported Wave Link version.")
+
+    this.protocol = protocol
+    this.capabilities = protocol.capabilities(applicationInfo)
+    debug(`Speaking ${protocol.name}`, this.capabilities)
+
+    const pending = this.pendingNotifications
+    this.pendingNotifications = []
+    pending.forEach(([method, params]) =>
+      this.dispatchNotification(method, params)
+    )
+  }
+
+  dispatchNotification(method, params) {
+    if (!this.protocol) {
+      this.pendingNotifications.push([method, params])
+      return
+    }
+    if (!this.protocol.notifications.includes(method)) return
+
+    const notification = this.protocol.notification(method, params)
+    const error = validate(
+      notificationSchemas,
+      notification.method,
+      notification.params
+    )
+    if (error) {
+      debug(`Ignoring malformed ${notification.method}: ${error}`, params)
+      return
+    }
+
+    const handler = this.notificationHandlers()[notification.method]
+    if (handler) handler(notification.params)
+  }
+
+  // By Wave Link 1.x notification name, see protocols.js
+  notificationHandlers() {
+    return {
+      microphoneStateChanged: ({ isMicrophoneConnected }) => {
+        this.isMicrophoneConnected = isMicrophoneConnected
+        this.getMicrophoneSettings().then(
+          () => this.emit("micSettingsChanged"),
+          (e) => debug(e)
+        )
+        this.getMonitorMixOutputList().then(
+          () => this.emit("monitorMixListChanged"),
+          (e) => debug(e)
+        )
+      },
+
+      microphoneSettingsChanged: (params) => {
         var mic = {
-          microphoneGain: microphoneGain,
-          microphoneOutputVolume: microphoneOutputVolume,
-          microphoneBalance: microphoneBalance,
-          isMicrophoneLowcutOn: isMicrophoneLowcutOn,
-          isMicrophoneClipguardOn: isMicrophoneClipguardOn,
+          microphoneGain: params.microphoneGain,
+          microphoneOutputVolume: params.microphoneOutputVolume,
+          microphoneBalance: params.microphoneBalance,
+          isMicrophoneLowcutOn: params.isMicrophoneLowcutOn,
+          isMicrophoneClipguardOn: params.isMicrophoneClipguardOn,
         }
         this.micSettings = mic
         this.emit("micSettingsChanged")
-      }
-    )
+      },
 
-    this.rpc.on("localMonitorOutputChanged", ["monitorMix"], (monitorMix) => {
-      this.selectedMonitorMix = monitorMix
-      this.emit("monitorMixChanged")
-    })
+      localMonitorOutputChanged: ({ monitorMix }) => {
+        this.selectedMonitorMix = monitorMix
+        this.emit("monitorMixChanged")
+      },
 
-    this.rpc.on(
-      "monitorSwitchOutputChanged",
-      ["switchState"],
-      (switchState) => {
+      monitorSwitchOutputChanged: ({ switchState }) => {
         this.switchState = switchState
         this.emit("switchStateChanged", switchState)
-      }
-    )
+      },
 
-    this.rpc.on(
-      "outputMixerChanged",
-      [
-        "localVolumeOut",
-        "streamVolumeOut",
-        "isLocalOutMuted",
-        "isStreamOutMuted",
-      ],
-      (localVolumeOut, streamVolumeOut, isLocalOutMuted, isStreamOutMuted) => {
-        this.output.localVolOut = localVolumeOut
-        this.output.streamVolOut = streamVolumeOut
-        this.output.isLocalMuteOut = isLocalOutMuted
-        this.output.isStreamMuteOut = isStreamOutMuted
-        this.monitoringVolChanged()
-      }
-    )
+      outputMixerChanged: (params) => {
+        this.output.localVolOut = params.localVolumeOut
+        this.output.streamVolOut = params.streamVolumeOut
+        this.output.isLocalMuteOut = params.isLocalOutMuted
+        this.output.isStreamMuteOut = params.isStreamOutMuted
+      },
 
-    this.rpc.on(
-      "inputMixerChanged",
-      [
-        "mixerName",
-        "mixId",
-        "bgColor",
-        "isLinked",
-        "deltaLinked",
-        "localVolumeIn",
-        "streamVolumeIn",
-        "isLocalInMuted",
-        "isStreamInMuted",
-        "isAvailable",
-        "filters",
-        "localMixFilterBypass",
-        "streamMixFilterBypass",
-        "iconData",
-        "inputType",
-      ],
-      (
-        mixerName,
-        mixerId,
-        bgColor,
-        isLinked,
-        deltaLinked,
-        localVolumeIn,
-        streamVolumeIn,
-        isLocalInMuted,
-        isStreamInMuted,
-        isAvailable,
-        filters,
-        localMixFilterBypass,
-        streamMixFilterBypass,
-        iconData,
-        inputType
-      ) => {
+      inputMixerChanged: (params) => {
         this.mixers.forEach((mixer) => {
-          if (mixer.mixerId == mixerId) {
-            console.log(mixer);
-            mixer.name = mixerName
-            mixer.bgColor = bgColor
-            mixer.localVolIn = localVolumeIn
-            mixer.streamVolIn = streamVolumeIn
-            mixer.isLinked = isLinked
-            mixer.deltaLinked = deltaLinked
-
-            mixer.isLocalMuteIn = isLocalInMuted
-            mixer.isStreamMuteIn = isStreamInMuted
-
-            mixer.isAvailable = isAvailable
-
-            if (mixer.filters != filters) {
-              mixer.filters = filters
+          if (mixer.mixerId == params.mixId) {
+            mixer.name = params.mixerName
+            mixer.bgColor = params.bgColor
+            mixer.localVolIn = params.localVolumeIn
+            mixer.streamVolIn = params.streamVolumeIn
+            mixer.isLinked = params.isLinked
+            mixer.deltaLinked = params.deltaLinked
+
+            mixer.isLocalMuteIn = params.isLocalInMuted
+            mixer.isStreamMuteIn = params.isStreamInMuted
+
+            mixer.isAvailable = params.isAvailable
+
+            if (mixer.filters != params.filters) {
+              mixer.filters = params.filters
               this.awl.updatePI()
             }
-            mixer.localMixFilterBypass = localMixFilterBypass
-            mixer.streamMixFilterBypass = streamMixFilterBypass
-
-            mixer.iconData = iconData
-            mixer.inputType = inputType
+            mixer.localMixFilterBypass = params.localMixFilterBypass
+            mixer.streamMixFilterBypass = params.streamMixFilterBypass
 
-            this.mixerVolChanged(mixerId)
+            mixer.iconData = params.iconData
+            mixer.inputType = params.inputType
           }
         })
-      }
-    )
+      },
 
-    this.rpc.on("channelsChanged", ["channels"], (channels) => {
-      this.setChannels(channels)
-      this.emit("channelsChanged")
-    })
+      channelsChanged: ({ channels }) => {
+        this.setChannels(channels)
+        this.emit("channelsChanged")
+      },
+    }
+  }
 
-    return this.getApplicationInfo()
+  // Calls a method by its Wave Link 1.x name, whichever protocol we speak
+  call(method, params, timeout) {
+    if (!this.protocol) return Promise.reject(notConnected())
+
+    const request = this.protocol.request(method, params)
+
+    return this.rpc
+      .call(request.method, request.params, timeout)
+      .then((result) => this.parseResponse(method, result))
   }
 
-  // Method for preventing spamming "volumeChanged" and updateKey() delay
-  monitoringVolChanged() {
-    if (!this.isKeyUpdated) {
-      this.emit("outputMixerChanged")
-      this.isKeyUpdated = true
-      setTimeout(() => {
-        this.isKeyUpdated = false
-        this.emit("outputMixerChanged")
-      }, 150)
-    }
+  // Same as rpc.batch(), with the calls translated like call() does
+  batch(requests) {
+    if (!this.protocol) return Promise.reject(notConnected())
+
+    const methods = requests.map((x) => x.call?.method)
+    const translated = requests.map((x) =>
+      x.call ? { call: this.protocol.request(x.call.method, x.call.params) } : x
+    )
+
+    // NB: batch() hands back failed calls as their error, so malformed
+    // results get turned into one too
+    return this.rpc.batch(translated).then((results) =>
+      results.map((result, i) => {
+        if (!result || result.code !== undefined) return result
+
+        try {
+          return this.parseResponse(methods[i], result)
+        } catch (e) {
+          return e
+        }
+      })
+    )
   }
 
-  mixerVolChanged(mixerId) {
-    if (!this.isKeyUpdated) {
-      this.emit("inputMixerChanged", mixerId)
-      this.isKeyUpdated = true
-      setTimeout(() => {
-        this.isKeyUpdated = false
-        this.emit("inputMixerChanged", mixerId)
-      }, 150)
+  // Translates a result back to Wave Link 1.x, throws if it doesn't look the
+  // way it should
+  parseResponse(method, result) {
+    const response = this.protocol.response(method, result)
+    const error = validate(responseSchemas, method, response)
+    if (error) {
+      debug(`Ignoring malformed response to ${method}: ${error}`, result)
+      throw new RequestError(ERRORS.INVALID_RESPONSE, method)
     }
+
+    return response
   }
 
   setMonitorMixOutput(mixOutput) {
-    return this.rpc
-      .call("setMonitorMixOutput", { monitorMix: mixOutput })
-      .then((result) => {
-        this.selectedMonitorMix = result["monitorMix"]
-        this.emit("monitorMixChanged")
+    return this.callIfCapable("monitorMixOutputList", "setMonitorMixOutput", {
+      monitorMix: mixOutput,
+    }).then((result) => {
+      this.selectedMonitorMix = result["monitorMix"]
+      this.emit("monitorMixChanged")
 
-        return this.selectedMonitorMix
-      })
+      return this.selectedMonitorMix
+    })
   }
 
   getSwitch() {
@@ -275,44 +557,44 @@ class WaveLinkClient {
   }
 
   changeSwitchState(state) {
-    return this.rpc
-      .call("switchMonitoring", { switchState: state })
-      .then((result) => {
+    return this.call("switchMonitoring", { switchState: state }).then(
+      (result) => {
         this.switchState = result["switchState"]
         this.emit("switchStateChanged")
 
         return this.switchState
-      })
+      }
+    )
   }
 
   adjustMicGain(vol) {
     this.micSettings.microphoneGain += vol
-    this.setMicSettings()
+    return this.setMicSettings()
   }
 
   setMicGain(vol) {
     this.micSettings.microphoneGain = vol
-    this.setMicSettings()
+    return this.setMicSettings()
   }
 
   adjustMicOutputVolume(vol) {
     this.micSettings.microphoneOutputVolume += vol
-    this.setMicSettings()
+    return this.setMicSettings()
   }
 
   setMicOutputVolume(vol) {
     this.micSettings.microphoneOutputVolume = vol
-    this.setMicSettings()
+    return this.setMicSettings()
   }
 
   adjustMicBalance(vol) {
     this.micSettings.microphoneBalance += vol
-    this.setMicSettings()
+    return this.setMicSettings()
   }
 
   setMicBalance(vol) {
     this.micSettings.microphoneBalance = vol
-    this.setMicSettings()
+    return this.setMicSettings()
   }
 
   setLowcut() {
@@ -320,7 +602,7 @@ class WaveLinkClient {
       .isMicrophoneLowcutOn
       ? false
       : true
-    this.setMicSettings()
+    return this.setMicSettings()
   }
 
   setClipguard() {
@@ -328,30 +610,27 @@ class WaveLinkClient {
       .isMicrophoneClipguardOn
       ? false
       : true
-    this.setMicSettings()
+    return this.setMicSettings()
   }
 
   setMicSettings() {
-    return this.rpc
-      .call("setMicrophoneSettings", {
-        microphoneGain: this.micSettings.microphoneGain,
-        microphoneOutputVolume: this.micSettings.microphoneOutputVolume,
-        microphoneBalance: this.micSettings.microphoneBalance,
-        isMicrophoneLowcutOn: this.micSettings.isMicrophoneLowcutOn,
-        isMicrophoneClipguardOn: this.micSettings.isMicrophoneClipguardOn,
-      })
-      .then((result) => {
-        this.micSettings.microphoneGain = result["microphoneGain"]
-        this.micSettings.microphoneOutputVolume =
-          result["microphoneOutputVolume"]
-        this.micSettings.microphoneBalance = result["microphoneBalance"]
-        this.micSettings.isMicrophoneLowcutOn = result["isMicrophoneLowcutOn"]
-        this.micSettings.isMicrophoneClipguardOn =
-          result["isMicrophoneClipguardOn"]
-        this.emit("micSettingsChanged")
-
-        return this.micSettings
-      })
+    return this.callIfCapable("micSettings", "setMicrophoneSettings", {
+      microphoneGain: this.micSettings.microphoneGain,
+      microphoneOutputVolume: this.micSettings.microphoneOutputVolume,
+      microphoneBalance: this.micSettings.microphoneBalance,
+      isMicrophoneLowcutOn: this.micSettings.isMicrophoneLowcutOn,
+      isMicrophoneClipguardOn: this.micSettings.isMicrophoneClipguardOn,
+    }).then((result) => {
+      this.micSettings.microphoneGain = result["microphoneGain"]
+      this.micSettings.microphoneOutputVolume = result["microphoneOutputVolume"]
+      this.micSettings.microphoneBalance = result["microphoneBalance"]
+      this.micSettings.isMicrophoneLowcutOn = result["isMicrophoneLowcutOn"]
+      this.micSettings.isMicrophoneClipguardOn =
+        result["isMicrophoneClipguardOn"]
+      this.emit("micSettingsChanged")
+
+      return this.micSettings
+    })
   }
 
   setMute(mixerTyp, mixerId, slider) {
@@ -377,12 +656,12 @@ class WaveLinkClient {
     if (mixerTyp == "input") {
       mixer.isLocalMuteIn = newLocalMute
       mixer.isStreamMuteIn = newStreamMute
-      this.setInputMixer(mixerId, slider)
-    } else if (mixerTyp == "output") {
-      mixer.isLocalMuteOut = newLocalMute
-      mixer.isStreamMuteOut = newStreamMute
-      this.setOutputMixer()
+      return this.setInputMixer(mixerId, slider)
     }
+
+    mixer.isLocalMuteOut = newLocalMute
+    mixer.isStreamMuteOut = newStreamMute
+    return this.setOutputMixer()
   }
 
   adjustVolume(mixerTyp, mixerId, inSlider, vol) {
@@ -403,31 +682,38 @@ class WaveLinkClient {
       streamVol = this.output.streamVolOut
     }
 
+    // NB: Wave Link doesn't go past 0 - 100, an encoder happily would
+    const adjust = (x) =>
+      this.limitVolume(mixerTyp, mixerId, slider, clampVolume(x + vol))
+
     // adjust volume based on inputtyp
     if (slider == "local") {
-      localVol = localVol + vol
+      localVol = adjust(localVol)
     } else if (slider == "stream") {
-      streamVol = streamVol + vol
+      streamVol = adjust(streamVol)
     }
 
     // adjust volume based on the mixertyp
     if (mixerTyp == "input") {
-      this.mixers.forEach((mixer) => {
-        if (mixer.mixerId == mixerId) {
-          mixer.localVolIn = localVol
-          mixer.streamVolIn = streamVol
-          this.setInputMixer(mixerId, slider)
-        }
-      })
-    } else if (mixerTyp == "output") {
-      this.output.localVolOut = localVol
-      this.output.streamVolOut = streamVol
-      this.setOutputMixer()
+      const mixer = this.getMixer(mixerId)
+      if (!mixer) {
+        return Promise.reject(new Error("Mixer not found"))
+      }
+
+      mixer.localVolIn = localVol
+      mixer.streamVolIn = streamVol
+      return this.setInputMixer(mixerId, slider)
     }
+
+    this.output.localVolOut = localVol
+    this.output.streamVolOut = streamVol
+    return this.setOutputMixer()
   }
 
   setOutputVolume(slider, targetVol, muted)
   {
+    targetVol = this.limitVolume("output", null, slider, targetVol)
+
     if (slider == "local")
     {
       this.output.localVolOut = targetVol
@@ -443,6 +729,8 @@ class WaveLinkClient {
   }
 
   setVolume(mixerTyp, mixerId, slider, targetVol, delay) {
+    targetVol = this.limitVolume(mixerTyp, mixerId, slider, targetVol)
+
     var timeLeft = delay
     var volumeSteps = 0,
       localVol,
@@ -451,6 +739,26 @@ class WaveLinkClient {
 
     const mixer = this.getMixer(mixerId)
 
+    // No fade, write the new value straight away and let queueWrite() sort
+    // out fader spam
+    if (!(delay > 0)) {
+      if (mixerTyp == "input") {
+        if (!mixer) {
+          return Promise.reject(new Error("Mixer not found"))
+        }
+
+        slider == "local"
+          ? (mixer.localVolIn = targetVol)
+          : (mixer.streamVolIn = targetVol)
+        return this.setInputMixer(mixerId, slider)
+      }
+
+      slider == "local"
+        ? (this.output.localVolOut = targetVol)
+        : (this.output.streamVolOut = targetVol)
+      return this.setOutputMixer()
+    }
+
     isNotBlocked =
       mixerTyp == "input"
         ? slider == "local"
@@ -511,40 +819,61 @@ class WaveLinkClient {
           if (mixerTyp == "input") {
             mixer.localVolIn = localVol
             mixer.streamVolIn = streamVol
-            return this.setInputMixer(mixerId, slider)
+            // NB: Nobody is around to handle a failed fade step
+            this.setInputMixer(mixerId, slider).catch((e) => debug(e))
           } else if (mixerTyp == "output") {
             this.output.localVolOut = localVol
             this.output.streamVolOut = streamVol
-            return this.setOutputMixer()
+            this.setOutputMixer().catch((e) => debug(e))
           }
         }
       }, this.fadingDelay)
     }
+
+    // NB: A fade is under way (or another one already was), its steps take
+    // care of themselves
+    return Promise.resolve()
   }
 
   setFilter(mixerID, filterID, enabled = null) {
-    this.mixers.forEach((mixer) => {
-      if (mixer.mixerId == mixerID) {
-        const filter = mixer.filters.find((f) => f.filterID == filterID)
-        filter.active = enabled ?? !filter.active
-        this.setInputMixer(mixer.mixerId, mixer.topSlider)
-      }
-    })
+    const mixer = this.getMixer(mixerID)
+    if (!mixer) {
+      return Promise.reject(new Error("Mixer not found"))
+    }
+
+    // NB: Replace filters rather than changing one, so that the state
+    // notices
+    mixer.filters = mixer.filters.map((f) =>
+      f.filterID == filterID ? { ...f, active: enabled ?? !f.active } : f
+    )
+    return this.setInputMixer(mixer.mixerId, "all")
   }
 
   setFilterBypass(mixerID, slider, enabled = null) {
+    if (!this.hasCapability("filterBypass")) {
+      return Promise.reject(unsupported("filterBypass"))
+    }
+
     const mixer = this.getMixer(mixerID)
+    if (!mixer) {
+      return Promise.reject(new Error("Mixer not found"))
+    }
 
     if (slider == "all") {
-      if (localMute == streamMute)
-        mixer.localMixFilterBypass = mixer.streamMixFilterBypass = !mixer.localMixFilterBypass
-      else mixer.localMixFilterBypass = mixer.streamMixFilterBypass = true
+      // Same semantics as setMute: if both mixes agree we toggle them
+      // together, otherwise we bypass both
+      const bypass =
+        enabled ??
+        (mixer.localMixFilterBypass == mixer.streamMixFilterBypass
+          ? !mixer.localMixFilterBypass
+          : true)
+      mixer.localMixFilterBypass = mixer.streamMixFilterBypass = bypass
     } else if (slider == "local")
       mixer.localMixFilterBypass = enabled ?? !mixer.localMixFilterBypass
     else if (slider == "stream")
       mixer.streamMixFilterBypass = enabled ?? !mixer.streamMixFilterBypass
 
-    this.setInputMixer(mixer.mixerId, slider)
+    return this.setInputMixer(mixer.mixerId, slider)
   }
 
   setInputMixer(mixId, slider) {
@@ -553,58 +882,336 @@ class WaveLinkClient {
       return Promise.reject(new Error("Mixer not found"))
     }
 
-    return this.rpc
-      .call("setInputMixer", {
+    // NB: Every request carries the whole channel, so the channel gets one
+    // queue. Writes to different sliders that end up going out together go
+    // out as "all".
+    const pending = this.pendingSliders[mixId]
+    this.pendingSliders[mixId] = pending && pending != slider ? "all" : slider
+
+    return this.queueWrite(`input_${mixId}`, (isStale) => {
+      const slider = this.pendingSliders[mixId]
+      delete this.pendingSliders[mixId]
+
+      return this.call("setInputMixer", {
         mixId: mixer.mixerId,
         slider: slider,
         isLinked: mixer.isLinked,
-        localVolumeIn: mixer.localVolIn,
+        localVolumeIn: this.limitVolume(
+          "input",
+          mixId,
+          "local",
+          mixer.localVolIn
+        ),
         isLocalInMuted: mixer.isLocalMuteIn,
-        streamVolumeIn: mixer.streamVolIn,
+        streamVolumeIn: this.limitVolume(
+          "input",
+          mixId,
+          "stream",
+          mixer.streamVolIn
+        ),
         isStreamInMuted: mixer.isStreamMuteIn,
         filters: mixer.filters,
         localMixFilterBypass: mixer.localMixFilterBypass,
         streamMixFilterBypass: mixer.streamMixFilterBypass,
-      })
-      .then((result) => {
-        mixer.isAvailable = result["isAvailable"]
-        mixer.isLinked = result["isLinked"]
-        mixer.deltaLinked = result["deltaLinked"]
-        mixer.localVolIn = result["localVolumeIn"]
-        mixer.isLocalMuteIn = result["isLocalInMuted"]
-        mixer.streamVolIn = result["streamVolumeIn"]
-        mixer.isStreamMuteIn = result["isStreamInMuted"]
-        mixer.localMixFilterBypass = result["localMixFilterBypass"]
-        mixer.streamMixFilterBypass = result["streamMixFilterBypass"]
-        mixer.filters = result["filters"]
-        this.emit("inputMixerChanged", mixer.mixerId)
+      }).then((result) => {
+        // A newer value is already waiting to be sent, applying this one
+        // would make the fader jump backwards
+        if (isStale()) return mixer
+
+        this.applyInputMixerResult(mixer, result)
 
         return mixer
       })
+    })
   }
 
-  setOutputMixer() {
-    var localVol = this.output.localVolOut,
-      localMute = this.output.isLocalMuteOut,
-      streamVol = this.output.streamVolOut,
-      streamMute = this.output.isStreamMuteOut
+  // NB: Anything optional (see schemas.js) that the response leaves out
+  // stays what it was
+  applyInputMixerResult(mixer, result) {
+    mixer.isAvailable = result["isAvailable"] ?? mixer.isAvailable
+    mixer.isLinked = result["isLinked"] ?? mixer.isLinked
+    mixer.deltaLinked = result["deltaLinked"] ?? mixer.deltaLinked
+    mixer.localVolIn = result["localVolumeIn"]
+    mixer.isLocalMuteIn = result["isLocalInMuted"]
+    mixer.streamVolIn = result["streamVolumeIn"]
+    mixer.isStreamMuteIn = result["isStreamInMuted"]
+    mixer.localMixFilterBypass =
+      result["localMixFilterBypass"] ?? mixer.localMixFilterBypass
+    mixer.streamMixFilterBypass =
+      result["streamMixFilterBypass"] ?? mixer.streamMixFilterBypass
+    mixer.filters = result["filters"]
+  }
 
-    return this.rpc
-      .call("setOutputMixer", {
+  // NB: setInputMixer() / setOutputMixer() put every volume they send
+  // through here, so the limits hold even when a mute or filter change
+  // resends a volume Wave Link set on its own. Setting a volume goes through
+  // here too, so our own state never goes past them in the first place.
+  limitVolume(mixerTyp, mixerId, slider, vol) {
+    const limits = this.volumeLimits(mixerTyp, mixerId, slider)
+    if (!limits) return vol
+
+    return Math.min(limits.max, Math.max(limits.min, vol))
+  }
+
+  setOutputMixer() {
+    return this.queueWrite("output", (isStale) => {
+      var localVol = this.limitVolume(
+          "output",
+          null,
+          "local",
+          this.output.localVolOut
+        ),
+        localMute = this.output.isLocalMuteOut,
+        streamVol = this.limitVolume(
+          "output",
+          null,
+          "stream",
+          this.output.streamVolOut
+        ),
+        streamMute = this.output.isStreamMuteOut
+
+      return this.call("setOutputMixer", {
         localVolumeOut: localVol,
         isLocalOutMuted: localMute,
         streamVolumeOut: streamVol,
         isStreamOutMuted: streamMute,
-      })
-      .then((result) => {
-        this.output.localVolOut = result["localVolumeOut"]
-        this.output.isLocalMuteOut = result["isLocalOutMuted"]
-        this.output.streamVolOut = result["streamVolumeOut"]
-        this.output.isStreamMuteOut = result["isStreamOutMuted"]
-        this.emit("outputMixerChanged")
+      }).then((result) => {
+        if (isStale()) return this.output
+
+        this.applyOutputMixerResult(result)
 
         return this.output
       })
+    })
+  }
+
+  applyOutputMixerResult(result) {
+    this.output.localVolOut = result["localVolumeOut"]
+    this.output.isLocalMuteOut = result["isLocalOutMuted"]
+    this.output.streamVolOut = result["streamVolumeOut"]
+    this.output.isStreamMuteOut = result["isStreamOutMuted"]
+  }
+
+  // Scenes
+
+  // Snapshot of everything a scene restores, using Wave Link's own names so
+  // saved scenes don't depend on how we store things internally
+  getScene() {
+    return {
+      channels: this.mixers.reduce((acc, mixer) => {
+        acc[mixer.mixerId] = {
+          localVolumeIn: mixer.localVolIn,
+          streamVolumeIn: mixer.streamVolIn,
+          isLocalInMuted: mixer.isLocalMuteIn,
+          isStreamInMuted: mixer.isStreamMuteIn,
+          filters: mixer.filters.map((f) => ({
+            filterID: f.filterID,
+            active: f.active,
+          })),
+          localMixFilterBypass: mixer.localMixFilterBypass,
+          streamMixFilterBypass: mixer.streamMixFilterBypass,
+        }
+        return acc
+      }, {}),
+      output: {
+        localVolumeOut: this.output.localVolOut,
+        streamVolumeOut: this.output.streamVolOut,
+        isLocalOutMuted: this.output.isLocalMuteOut,
+        isStreamOutMuted: this.output.isStreamMuteOut,
+      },
+      switchState: this.switchState,
+    }
+  }
+
+  // Mutes, filters and the monitor switch change straight away, volumes fade
+  // over fadeTime ms. Every step goes out as a single batch request.
+  // Channels the scene doesn't know about are left alone.
+  applyScene(scene, fadeTime = 0) {
+    // NB: Overlapping fades would fight over the volumes, so a recall waits
+    // for the one before it (and then fades from wherever that ended up)
+    const recall = this.sceneRecall
+      .catch(() => {})
+      .then(() => this.recallScene(scene, fadeTime))
+    this.sceneRecall = recall
+    return recall
+  }
+
+  async recallScene(scene, fadeTime) {
+    const channels = this.mixers.filter((x) => scene.channels[x.mixerId])
+    const from = channels.map((x) => [x.localVolIn, x.streamVolIn])
+    const fromOutput = [this.output.localVolOut, this.output.streamVolOut]
+
+    const to = channels.map((x) => {
+      const target = scene.channels[x.mixerId]
+      return [
+        this.limitVolume("input", x.mixerId, "local", target.localVolumeIn),
+        this.limitVolume("input", x.mixerId, "stream", target.streamVolumeIn),
+      ]
+    })
+    const toOutput = [
+      this.limitVolume("output", null, "local", scene.output.localVolumeOut),
+      this.limitVolume("output", null, "stream", scene.output.streamVolumeOut),
+    ]
+
+    channels.forEach((mixer) => {
+      const target = scene.channels[mixer.mixerId]
+
+      mixer.isLocalMuteIn = target.isLocalInMuted
+      mixer.isStreamMuteIn = target.isStreamInMuted
+      mixer.localMixFilterBypass = target.localMixFilterBypass
+      mixer.streamMixFilterBypass = target.streamMixFilterBypass
+      mixer.filters = mixer.filters.map((f) => {
+        const filter = target.filters.find((x) => x.filterID == f.filterID)
+        return filter ? { ...f, active: filter.active } : f
+      })
+    })
+
+    this.output.isLocalMuteOut = scene.output.isLocalOutMuted
+    this.output.isStreamMuteOut = scene.output.isStreamOutMuted
+
+    const fade = (from, to, progress) =>
+      Math.round(from + (to - from) * progress)
+    const steps = Math.max(1, Math.ceil(fadeTime / this.fadingDelay))
+
+    for (let step = 1; step <= steps; step++) {
+      if (step > 1) await delay(this.fadingDelay)
+
+      const progress = step / steps
+      channels.forEach((mixer, i) => {
+        mixer.localVolIn = fade(from[i][0], to[i][0], progress)
+        mixer.streamVolIn = fade(from[i][1], to[i][1], progress)
+      })
+
+      this.output.localVolOut = fade(fromOutput[0], toOutput[0], progress)
+      this.output.streamVolOut = fade(fromOutput[1], toOutput[1], progress)
+
+      const requests = channels.map((mixer) => ({
+        call: {
+          method: "setInputMixer",
+          params: {
+            mixId: mixer.mixerId,
+            slider: "all",
+            isLinked: mixer.isLinked,
+            localVolumeIn: mixer.localVolIn,
+            isLocalInMuted: mixer.isLocalMuteIn,
+            streamVolumeIn: mixer.streamVolIn,
+            isStreamInMuted: mixer.isStreamMuteIn,
+            filters: mixer.filters,
+            localMixFilterBypass: mixer.localMixFilterBypass,
+            streamMixFilterBypass: mixer.streamMixFilterBypass,
+          },
+        },
+      }))
+
+      requests.push({
+        call: {
+          method: "setOutputMixer",
+          params: {
+            localVolumeOut: this.output.localVolOut,
+            isLocalOutMuted: this.output.isLocalMuteOut,
+            streamVolumeOut: this.output.streamVolOut,
+            isStreamOutMuted: this.output.isStreamMuteOut,
+          },
+        },
+      })
+
+      const isLastStep = step == steps
+      const switchScene =
+        isLastStep && scene.switchState && scene.switchState != this.switchState
+
+      if (switchScene) {
+        requests.push({
+          call: {
+            method: "switchMonitoring",
+            params: { switchState: scene.switchState },
+          },
+        })
+      }
+
+      // NB: Otherwise a fader write that's still queued would go out after
+      // the scene and undo it
+      await this.writesDone(
+        (key) =>
+          key == "output" || channels.some((x) => key == `input_${x.mixerId}`)
+      )
+      const results = await this.batch(requests)
+
+      // NB: batch() hands back failed calls as their error instead of
+      // rejecting, and intermediate steps are superseded anyway
+      const succeeded = (result) =>
+        isLastStep && result && result.code === undefined
+
+      channels.forEach((mixer, i) => {
+        if (succeeded(results[i])) {
+          this.applyInputMixerResult(mixer, results[i])
+        }
+      })
+
+      if (succeeded(results[channels.length])) {
+        this.applyOutputMixerResult(results[channels.length])
+      }
+
+      if (switchScene && succeeded(results[channels.length + 1])) {
+        this.switchState = results[channels.length + 1]["switchState"]
+        this.emit("switchStateChanged", this.switchState)
+      }
+    }
+  }
+
+  // Write scheduler: keeps at most one request in flight per key (channel +
+  // mix, or the output mixer) and, while one is in flight, only remembers the
+  // newest write. send() builds its request when it's actually sent so it
+  // always carries the latest state, and gets an isStale() callback telling
+  // it whether a newer write has been queued since.
+  queueWrite(key, send) {
+    if (!this.writeQueues[key]) {
+      this.writeQueues[key] = {
+        inFlight: false,
+        send: null,
+        waiters: [],
+        last: null,
+      }
+    }
+
+    const queue = this.writeQueues[key]
+
+    queue.last = new Promise((res, rej) => {
+      queue.send = send
+      queue.waiters.push({ res, rej })
+
+      if (!queue.inFlight) this.flushWrite(queue)
+    })
+    return queue.last
+  }
+
+  // Resolves once every write queued so far under the keys matching match()
+  // has been answered, whether it worked or not
+  writesDone(match) {
+    return Promise.allSettled(
+      Object.keys(this.writeQueues)
+        .filter(match)
+        .map((key) => this.writeQueues[key].last)
+    )
+  }
+
+  flushWrite(queue) {
+    if (!queue.send) return
+
+    const send = queue.send
+    const waiters = queue.waiters
+    queue.send = null
+    queue.waiters = []
+    queue.inFlight = true
+
+    send(() => queue.send !== null)
+      .then(
+        (x) => waiters.forEach((w) => w.res(x)),
+        (e) => waiters.forEach((w) => w.rej(e))
+      )
+      .then(() => {
+        queue.inFlight = false
+        this.flushWrite(queue)
+      })
   }
 
   // Request
@@ -612,50 +1219,106 @@ class WaveLinkClient {
   getApplicationInfo() {
     return this.rpc.call("getApplicationInfo").then((result) => {
       if (result || result == undefined) {
-        if (result["appName"] == "Elgato Wave Link") {
+        if (isWaveLink(result)) {
           debug("Wave Link WebSocketServer found.")
         } else {
           debug("Wrong WebSocketServer found.")
+          this.emit("wrongServer", { host: this.host, port: this.port })
           return Promise.reject(new Error("Wrong WebSocketServer found."))
         }
       }
 
-      return false
+      const version = result["appVersion"] || {}
+      this.appVersion = {
+        major: version["appVersionMajorRelease"],
+        minor: version["appVersionMinorRelease"],
+        patch: version["appVersionPatchLevel"],
+        build: version["appVersionBuildNumber"],
+      }
+      this.interfaceRevision = result["interfaceRevision"] ?? null
+      const { major, minor, patch, build } = this.appVersion
+      debug(
+        `Wave Link ${major}.${minor}.${patch} (${build}), interface revision ${this.interfaceRevision}`
+      )
+
+      this.useProtocol(result)
+      return result
+    })
+  }
+
+  hasCapability(name) {
+    return this.capabilities[name] !== false
+  }
+
+  setCapability(name, value) {
+    if (this.hasCapability(name) === value) return
+
+    this.capabilities[name] = value
+    this.emit("capabilitiesChanged", name)
+  }
+
+  // Calls a method that only some Wave Link builds have, and remembers when
+  // the server turns out not to have it after all
+  callIfCapable(capability, method, params) {
+    if (!this.hasCapability(capability)) {
+      return Promise.reject(unsupported(capability))
+    }
+
+    return this.call(method, params).catch((e) => {
+      if (e.code === ERRORS.METHOD_NOT_FOUND.code) {
+        debug(`Wave Link doesn't have ${method} after all`)
+        this.setCapability(capability, false)
+      }
+      return Promise.reject(e)
     })
   }
 
   getMixers() {
-    return this.rpc.call("getAllChannelInfo").then((result) => {
+    return this.call("getAllChannelInfo").then((result) => {
       this.setChannels(result)
+
+      // NB: Wave Link builds that can bypass filters report it for every
+      // channel, older ones leave it out
+      const reported = this.mixers.some(
+        (x) => x.localMixFilterBypass !== undefined
+      )
+      if (this.mixers.length > 0 && !reported) {
+        this.setCapability("filterBypass", false)
+      }
+
       return result
     })
   }
 
   getMicrophoneState() {
-    return this.rpc.call("getMicrophoneState").then((result) => {
-      this.isMicrophoneConnected = result["isMicrophoneConnected"]
-      return this.isMicrophoneConnected
-    })
+    return this.callIfCapable("micSettings", "getMicrophoneState").then(
+      (result) => {
+        this.isMicrophoneConnected = result["isMicrophoneConnected"]
+        return this.isMicrophoneConnected
+      }
+    )
   }
 
   getMicrophoneSettings() {
-    return this.rpc.call("getMicrophoneSettings").then((result) => {
-      var mic = {
-        microphoneGain: result["microphoneGain"],
-        microphoneOutputVolume: result["microphoneOutputVolume"],
-        microphoneBalance: result["microphoneBalance"],
-        isMicrophoneLowcutOn: result["isMicrophoneLowcutOn"],
-        isMicrophoneClipguardOn: result["isMicrophoneClipguardOn"],
-      }
-      this.micSettings = mic
-      //this.emit('setKeyIcons');
+    return this.callIfCapable("micSettings", "getMicrophoneSettings").then(
+      (result) => {
+        var mic = {
+          microphoneGain: result["microphoneGain"],
+          microphoneOutputVolume: result["microphoneOutputVolume"],
+          microphoneBalance: result["microphoneBalance"],
+          isMicrophoneLowcutOn: result["isMicrophoneLowcutOn"],
+          isMicrophoneClipguardOn: result["isMicrophoneClipguardOn"],
+        }
+        this.micSettings = mic
+        //this.emit('setKeyIcons');
 
-      return mic
-    })
+        return mic
+      }
+    )
   }
 
   getMonitoringState() {
-    return this.rpc.call("getMonitoringState").then((result) => {
+    return this.call("getMonitoringState").then((result) => {
       this.output = {
         localVolOut: result["localVolumeOut"],
         streamVolOut: result["streamVolumeOut"],
@@ -672,12 +1335,16 @@ class WaveLinkClient {
   }
 
   getMonitorMixOutputList() {
-    return this.rpc.call("getMonitorMixOutputList").then((result) => {
+    return this.callIfCapable(
+      "monitorMixOutputList",
+      "getMonitorMixOutputList"
+    ).then((result) => {
       this.localOutputList = Object.values(result["monitorMixList"]).map(
         (e) => {
           var out = {
             value: e.monitorMix,
-            name: this.fixNames(e.monitorMix),
+            // NB: Shown in MIDI Mixer, which doesn't speak HTML
+            name: this.fixNames(e.monitorMix, 27, "…"),
           }
 
           return out
@@ -694,7 +1361,7 @@ class WaveLinkClient {
   }
 
   getSwitchState() {
-    return this.rpc.call("getSwitchState").then((result) => {
+    return this.call("getSwitchState").then((result) => {
       this.switchState = result["switchState"]
       return this.switchState
     })
@@ -754,12 +1421,14 @@ class WaveLinkClient {
         var mix = {
           channelPos: i++,
           mixerId: e.mixId,
-          name: this.fixNames(e.mixerName),
+          name: e.mixerName,
           inputType: e.inputType,
           localVolIn: e.localVolumeIn,
           streamVolIn: e.streamVolumeIn,
           isLocalMuteIn: e.isLocalInMuted,
           isStreamMuteIn: e.isStreamInMuted,
+          isLinked: e.isLinked,
+          deltaLinked: e.deltaLinked,
           isAvailable: e.isAvailable,
           isNotBlockedLocal: true,
           isNotBlockedStream: true,
@@ -781,6 +1450,62 @@ class WaveLinkClient {
     return this.mixers.find((mixer) => mixer.mixerId == mixerId) // || { isAvailable: false };
   }
 
+  get mixers() {
+    return this.state.channels
+  }
+
+  set mixers(mixers) {
+    this.state.channels = mixers
+  }
+
+  get output() {
+    return this.state.output
+  }
+
+  set output(output) {
+    this.state.output = output
+  }
+
+  get micSettings() {
+    return this.state.micSettings
+  }
+
+  set micSettings(micSettings) {
+    this.state.micSettings = micSettings
+  }
+
+  get switchState() {
+    return this.state.get("switchState")
+  }
+
+  set switchState(switchState) {
+    this.state.set("switchState", switchState)
+  }
+
+  get isMicrophoneConnected() {
+    return this.state.get("isMicrophoneConnected")
+  }
+
+  set isMicrophoneConnected(isMicrophoneConnected) {
+    this.state.set("isMicrophoneConnected", isMicrophoneConnected)
+  }
+
+  get selectedMonitorMix() {
+    return this.state.get("selectedMonitorMix")
+  }
+
+  set selectedMonitorMix(selectedMonitorMix) {
+    this.state.set("selectedMonitorMix", selectedMonitorMix)
+  }
+
+  get localOutputList() {
+    return this.state.get("localOutputList")
+  }
+
+  set localOutputList(localOutputList) {
+    this.state.set("localOutputList", localOutputList)
+  }
+
   // Helper methods
 
   fixNames = (name, maxlen = 27, suffix = " &hellip;") => {
@@ -788,8 +1513,17 @@ class WaveLinkClient {
       ? name.slice(0, maxlen - 1) + suffix
       : name
   }
+  // Emits connected / disconnected whenever this actually changes
   setConnectState(state) {
+    if (state === this.isConnected) return
+
     this.isConnected = state
+    if (state) {
+      this.startHeartbeat()
+    } else {
+      this.stopHeartbeat()
+    }
+    this.emit(state ? "connected" : "disconnected")
   }
   setAppIsRunning(state) {
     this.appIsRunning = state
@@ -884,10 +1618,26 @@ class AppWaveLink {
   updatePI() {}
 }
 
+function notConnected() {
+  return new Error("Not connected to Wave Link")
+}
+
+function unsupported(capability) {
+  return new Error(`This version of Wave Link doesn't support ${capability}`)
+}
+
+function isWaveLink(applicationInfo) {
+  return applicationInfo?.appName == "Elgato Wave Link"
+}
+
 function delay(ms) {
   return new Promise((res) => setTimeout(res, ms))
 }
 
+function clampVolume(vol) {
+  return Math.min(100, Math.max(0, vol))
+}
+
 var debug = console.log.bind(console)
 
 export default WaveLinkClient
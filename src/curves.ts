@@ -0,0 +1,113 @@
+/** curves
+ * How far along a fader is (MIDI Mixer's 0 - 1) vs. the volume Wave Link
+ * gets (0 - 100). Every curve goes both ways, so that when Wave Link tells
+ * us about a volume the fader ends up where it'd have to be to set it.
+ *
+ *   linear             50% of the fader is 50
+ *   log                Audio taper, 50% of the fader is about 24 and the
+ *                      rest of the travel goes to the quiet end
+ *   0=0 50=20 100=100  Fader % = volume, straight lines in between
+ */
+
+export interface Curve {
+  toWaveLink(level: number): number
+  toMM(volume: number): number
+}
+
+// Wave Link volumes a fader is kept between, see limited()
+export interface VolumeLimits {
+  min: number
+  max: number
+}
+
+type Point = [number, number]
+
+const clamp = (x: number, min: number, max: number) =>
+  Math.min(max, Math.max(min, x))
+
+export const linear: Curve = {
+  toWaveLink: (level) => clamp(Math.round(level * 100.0), 0, 100),
+  toMM: (volume) => clamp(volume / 100.0, 0, 1),
+}
+
+// NB: A proper audio taper pot is 10% at half way, but Wave Link only takes
+// whole numbers and that leaves the bottom of the fader too coarse
+const base = 10
+
+export const log: Curve = {
+  toWaveLink: (level) =>
+    clamp(Math.round(((base ** level - 1) / (base - 1)) * 100.0), 0, 100),
+  toMM: (volume) =>
+    clamp(Math.log((volume / 100.0) * (base - 1) + 1) / Math.log(base), 0, 1),
+}
+
+// Straight lines between points, flat past either end. If more than one x
+// gives the same y, the first one wins.
+function interpolate(points: Point[], x: number) {
+  if (x <= points[0][0]) return points[0][1]
+
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i - 1]
+    const [x2, y2] = points[i]
+    if (x > x2) continue
+
+    return x2 === x1 ? y1 : y1 + ((x - x1) / (x2 - x1)) * (y2 - y1)
+  }
+
+  return points[points.length - 1][1]
+}
+
+// points are [fader %, volume], in order of fader %
+export function breakpoints(points: Point[]): Curve {
+  const inverse = points.map(([x, y]): Point => [y, x])
+
+  return {
+    toWaveLink: (level) => Math.round(interpolate(points, level * 100.0)),
+    toMM: (volume) => interpolate(inverse, volume) / 100.0,
+  }
+}
+
+// "log", "linear" or "0=0 50=20 100=100", undefined if it's none of those.
+// Breakpoints have to go up (or stay flat) from left to right, otherwise
+// there'd be no way back from a volume to the fader.
+export function parseCurve(spec: string): Curve | undefined {
+  const name = spec.trim().toLowerCase()
+  if (name === "linear") return linear
+  if (name === "log") return log
+
+  const pairs = name.split(/\s+/)
+  if (pairs.length < 2) return undefined
+  if (!pairs.every((x) => /^\d+(\.\d+)?=\d+(\.\d+)?$/.test(x))) return undefined
+
+  const points = pairs.map((x) => x.split("=").map(Number) as Point)
+  const valid = points.every(
+    ([x, y], i) =>
+      x <= 100 &&
+      y <= 100 &&
+      (i === 0 || (x > points[i - 1][0] && y >= points[i - 1][1]))
+  )
+
+  return valid ? breakpoints(points) : undefined
+}
+
+// curve squeezed into limits, so the fader's whole travel covers just the
+// volumes it's allowed to set
+export function limited(curve: Curve, { min, max }: VolumeLimits): Curve {
+  return {
+    toWaveLink: (level) =>
+      Math.round(min + ((max - min) * curve.toWaveLink(level)) / 100.0),
+    toMM: (volume) =>
+      max > min
+        ? curve.toMM(clamp(((volume - min) / (max - min)) * 100.0, 0, 100))
+        : 0,
+  }
+}
+
+// "20-70" => { min: 20, max: 70 }, undefined if it isn't a range in 0 - 100
+export function parseLimits(spec: string): VolumeLimits | undefined {
+  const match = spec.trim().match(/^(\d+)\s*-\s*(\d+)$/)
+  if (!match) return undefined
+
+  const [min, max] = [Number(match[1]), Number(match[2])]
+  return min <= max && max <= 100 ? { min, max } : undefined
+}
@@ -0,0 +1,34 @@
+/** encoder
+ * Turns ticks of an endless rotary encoder (or presses of a step button)
+ * into volume steps for WaveLinkClient.adjustVolume(). Ticks in quick
+ * succession make bigger steps, so a fast spin covers the whole range
+ * without giving up fine control on a slow one.
+ */
+
+// Ticks closer together than this (in ms) are one spin
+const spinTime = 150
+
+// However fast the spin, a tick never moves the volume more than this
+const maxStep = 20
+
+// Relative faders sit here between ticks, so that they can always go either
+// way
+export const center = 0.5
+
+export default class Encoder {
+  private lastTick = 0
+  // Ticks so far in the current spin
+  private spin = 0
+
+  // step is Wave Link volume per tick, acceleration how much bigger (1 is
+  // twice as big) every tick in a spin makes the next one
+  constructor(private step: number, private acceleration: number) {}
+
+  tick(now = Date.now()) {
+    this.spin = now - this.lastTick < spinTime ? this.spin + 1 : 0
+    this.lastTick = now
+
+    const step = Math.round(this.step * (1 + this.acceleration * this.spin))
+    return Math.min(Math.max(maxStep, this.step), step)
+  }
+}
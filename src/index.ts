@@ -0,0 +1,13 @@
+import { initialize } from "./main"
+
+initialize()
+  .then(() => console.log("started!"))
+  .catch((e) => {
+    console.log("Failed to start", e)
+    $MM.showNotification(`Couldn't set up Wave Link controls! ${e}`)
+  })
+
+// NB: Without this, Midi Mixer immediately terminates
+setInterval(() => {
+  console.log("")
+}, 1 * 60 * 60 * 1000)
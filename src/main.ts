@@ -1,80 +1,34 @@
 import { Assignment, ButtonType, ButtonTypeData } from "midi-mixer-plugin"
 import WaveLinkClient from "./WaveLinkClient"
+import { RequestError } from "./simple-jsonrpc"
+import { loadScenes, saveScenes, Scene } from "./scenes"
+import { forFader, loadSettings, matchesFader } from "./settings"
+import {
+  Channel,
+  ChannelChange,
+  FieldChange,
+  Filter,
+  MicSettings,
+  MonitorOutput,
+} from "./state"
+import { loadLastPort, saveLastPort } from "./storage"
+import Pickup from "./pickup"
+import { limited, linear } from "./curves"
+import Encoder, { center } from "./encoder"
 import WebSocket from "ws"
 
 // Give node.js Websocket superpowers
 const wnd = globalThis as any
 wnd.WebSocket = WebSocket
 
-export interface Mixer {
-  bgColor: string
-  deltaLinked: number
-  filters: Filter[]
-  iconData: string
-  inputType: number
-  isAvailable: boolean
-  isLinked: boolean
-  isLocalInMuted: boolean
-  isStreamInMuted: boolean
-  localMixFilterBypass: boolean
-  localVolumeIn: number
-  mixId: string
-  mixerName: string
-  streamMixFilterBypass: boolean
-  streamVolumeIn: number
-}
-
-export interface Filter {
-  active: boolean
-  filterID: string
-  name: string
-  pluginID: string
-}
-
-// NB: These are not the same as Mixer and I want to :knife:
-export interface MixerFromEvent {
-  channelPos: number
-  mixerId: string
-  name: string
-  inputType: number
-  localVolIn: number
-  streamVolIn: number
-  isLinked: boolean
-  deltaLinked: number
-  isLocalMuteIn: boolean
-  isStreamMuteIn: boolean
-  isAvailable: boolean
-  isNotBlockedLocal: boolean
-  isNotBlockedStream: boolean
-  bgColor: string
-  icon: string
-  iconData: string
-  filters: FilterFromEvent[]
-  localMixFilterBypass: boolean
-  streamMixFilterBypass: boolean
-  topSlider: string
-}
-
-export interface FilterFromEvent {
-  active: boolean
-  filterID: string
-  name: string
-  pluginID: string
-}
-
-async function connectWithRetry(client: WaveLinkClient) {
-  // NB: Every retry we move forward one port, 21 retries will
-  // cycle the entire list twice
-  let retries = 21
-
-  while (retries > 0) {
+async function connectWithRetry(client: WaveLinkClient, attempts: number) {
+  // NB: Every attempt scans the whole port range
+  for (let i = 0; i < attempts; i++) {
     try {
-      await client.tryToConnect()
+      await client.connect()
       return true
     } catch (e) {
-      client.reconnect()
-      retries--
-      if (retries < 0) throw e
+      console.log("Couldn't find Wave Link", e)
     }
   }
   return false
@@ -88,186 +42,731 @@ function volumeWaveLinkToMM(vol: number) {
   return vol / 100.0
 }
 
+// Is the filter chain bypassed on the given mix ("all" means both)
+function isFilterBypassed(
+  mixer: Pick<Channel, "localMixFilterBypass" | "streamMixFilterBypass">,
+  type: string
+) {
+  if (type === "local") return mixer.localMixFilterBypass
+  if (type === "stream") return mixer.streamMixFilterBypass
+
+  return mixer.localMixFilterBypass && mixer.streamMixFilterBypass
+}
+
+function assignmentName(mixer: Channel, type: string) {
+  const friendlyType = type === "local" ? "Headphone" : "Stream"
+  return `${mixer.name} - ${friendlyType}`
+}
+
+function filterButtonName(mixer: Channel, f: Filter) {
+  return `${f.name} on ${mixer.name}`
+}
+
+function filterBypassButtonName(mixer: Channel, type: string) {
+  const friendlyType =
+    type === "local" ? "Headphone" : type === "stream" ? "Stream" : "both"
+  return `Bypass filters (${friendlyType}) on ${mixer.name}`
+}
+
+function stepButtonName(faderName: string, direction: string) {
+  return `Volume ${direction === "up" ? "Up" : "Down"} on ${faderName}`
+}
+
+// Turns user / device given names into something safe to put in a button ID
+function buttonIdPart(name: string) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, "_")
+}
+
 const mixerTypes = ["local", "stream"]
-let mixerMap: Record<string, { mixer: Mixer; assignment: Assignment }>
-const buttonList: Record<string, ButtonType> = {}
+const stepDirections = ["up", "down"]
+const filterBypassTypes = ["local", "stream", "all"]
 
-let maxConnectRetries = 10;
 let connectRetries = 0;
 
-async function initialize() {
+// Ports we've already told the user aren't Wave Link, so retries don't
+// keep nagging about them
+const wrongServerPorts = new Set<number>()
+
+export async function initialize(waveLinkClient?: WaveLinkClient) {
+  const settings = await loadSettings()
+
   console.log('Trying to connect');
-  const client = new WaveLinkClient("windows")
+  const client =
+    waveLinkClient ??
+    new WaveLinkClient("windows", {
+      host: settings.host,
+      startPort: settings.startPort,
+      endPort: settings.endPort,
+      port: loadLastPort(),
+      reconnectDelay: settings.reconnectDelay * 1000,
+    })
+  // `${mixerId}_${type}` => fader
+  const mixerMap: Record<string, Assignment> = {}
+  // Fader ID => its soft takeover, see pickup.ts
+  const pickups: Record<string, Pickup> = {}
+  // Fader ID => its encoder, for faders in relative mode
+  const encoders: Record<string, Encoder> = {}
+  const buttonList: Record<string, ButtonType> = {}
 
   // Leak client for debugging
   const wnd: any = globalThis
   wnd.waveLinkClient = client
 
+  client.event!.on("wrongServer", (server: { host: string; port: number }) => {
+    if (wrongServerPorts.has(server.port)) return
+
+    wrongServerPorts.add(server.port)
+    $MM.showNotification(
+      `Something other than Wave Link is running on ${server.host}:${server.port}`
+    )
+  })
+
   try {
-    let connectSuccess = await connectWithRetry(client)
-    if (!connectSuccess && connectRetries < maxConnectRetries)
-    {
-      console.log('Retrying in 1 minute')
-      setTimeout(initialize, 60000)
+    let connectSuccess = await connectWithRetry(
+      client,
+      settings.connectAttempts
+    )
+    if (!connectSuccess) {
+      if (connectRetries >= settings.maxRetries) {
+        $MM.showNotification(
+          `Couldn't find Wave Link on ${settings.host}, giving up`
+        )
+        return
+      }
+
+      connectRetries++
+      console.log(`Retrying in ${settings.retryDelay} seconds`)
+      setTimeout(
+        () =>
+          initialize().catch((e) => {
+            console.log("Failed to start", e)
+            $MM.showNotification(`Couldn't set up Wave Link controls! ${e}`)
+          }),
+        settings.retryDelay * 1000
+      )
       return
     }
   } catch (e) {
       $MM.showNotification(`Couldn't connect to Wave Link software! ${e}`)
   }
 
+  saveLastPort(client.port)
+
+  // NB: When the connection drops every pending request fails at once, only
+  // tell the user about the first one
+  let lastRequestFailedNotification = 0
+  client.event!.on("requestFailed", (e: RequestError) => {
+    const now = Date.now()
+    if (now - lastRequestFailedNotification < 30 * 1000) return
+
+    lastRequestFailedNotification = now
+    $MM.showNotification(`Wave Link didn't respond: ${e.message}`)
+  })
+
+  // NB: Older Wave Link builds can't bypass filters, so there's nothing to
+  // make buttons for. We only know once we've seen the channels.
+  const supportedBypassTypes = () =>
+    client.hasCapability("filterBypass") ? filterBypassTypes : []
+  let bypassTypes: string[] = []
+
   // Set up toggle buttons
   const createButton = (
     id: string,
     data: ButtonTypeData,
     pressed: (b: ButtonType) => unknown
   ) => {
+    // Recreating a button (e.g. after a reconnect) replaces the old one
+    buttonList[id]?.remove()
+
     const btn = new ButtonType(id, data)
     btn.on("pressed", () => pressed(btn))
     buttonList[id] = btn
   }
 
-  const createMixerAssignment = ( mixer: Mixer, type: string) =>
-  {
-    const name = `${mixer.mixId}_${type}`
-    const friendlyType = type === "local" ? "Headphone" : "Stream"
+  const removeButton = (id: string) => {
+    buttonList[id]?.remove()
+    delete buttonList[id]
+  }
+
+  // Whether a fader that moved to level gets to change Wave Link's volume,
+  // faders in pickup mode have to catch up with Wave Link first
+  const pickUp = (
+    id: string,
+    level: number,
+    faderName: string,
+    channelName?: string
+  ) => {
+    const engaged = pickups[id].accept(level)
+    return (
+      engaged || !matchesFader(settings.pickupFaders, faderName, channelName)
+    )
+  }
+
+  // Wave Link's volume changed, so does the fader (in MIDI Mixer's 0 - 1)
+  const followVolume = (id: string, assign: Assignment, level: number) => {
+    // Relative faders stay where they are, see turn()
+    if (encoders[id]) return
+
+    assign.volume = level
+    pickups[id].moved(level)
+  }
+
+  const limitsFor = (faderName: string, channelName?: string) =>
+    forFader(settings.volumeLimits, faderName, channelName)
+
+  // See curves.ts, a limited fader's whole travel covers just its limits.
+  // NB: Look this up every time, so a renamed channel gets its new name's
+  // settings
+  const curveFor = (faderName: string, channelName?: string) => {
+    const curve = forFader(settings.volumeCurves, faderName, channelName)
+    const limits = limitsFor(faderName, channelName)
+
+    return limits ? limited(curve ?? linear, limits) : curve ?? linear
+  }
+
+  // The client keeps every volume it sets within these, whoever sets it
+  client.volumeLimits = (mixerTyp: string, mixerId: string, slider: string) => {
+    if (mixerTyp === "output") {
+      return limitsFor(
+        slider === "local" ? "Monitor Mix Volume" : "Stream Mix Volume"
+      )
+    }
+
+    const mixer: Channel | undefined = client.getMixer(mixerId)
+    return mixer && limitsFor(assignmentName(mixer, slider), mixer.name)
+  }
+
+  const newEncoder = () =>
+    new Encoder(settings.volumeStep, settings.volumeAcceleration / 100)
+
+  // Steps a volume, see WaveLinkClient.adjustVolume()
+  const adjuster =
+    (mixerTyp: string, mixerId: string | null, type: string) =>
+    (step: number) =>
+      client
+        .adjustVolume(mixerTyp, mixerId, type, step)
+        .catch((e: Error) => console.log("Couldn't adjust the volume", e))
+
+  // Relative faders are endless encoders: they sit at center, and moving
+  // away from it is a tick up or down. Then they go back for the next one.
+  const turn = (
+    id: string,
+    assign: Assignment,
+    level: number,
+    adjust: (step: number) => void
+  ) => {
+    assign.volume = center
+
+    const direction = Math.sign(level - center)
+    if (direction !== 0) adjust(direction * encoders[id].tick())
+  }
+
+  // Whether the user wants Volume Up / Down buttons for a fader, endless
+  // encoders always get them
+  const wantsStepButtons = (faderName: string, channelName?: string) =>
+    matchesFader(
+      [...settings.stepButtons, ...settings.relativeFaders],
+      faderName,
+      channelName
+    )
+
+  // Volume Up / Down buttons for the fader with the given ID
+  const createStepButtons = (
+    id: string,
+    faderName: string,
+    adjust: (step: number) => void
+  ) => {
+    stepDirections.forEach((direction) => {
+      const encoder = newEncoder()
+
+      createButton(
+        `${id}_${direction}`,
+        { name: stepButtonName(faderName, direction), active: false },
+        () => adjust((direction === "up" ? 1 : -1) * encoder.tick())
+      )
+    })
+  }
+
+  const removeStepButtons = (id: string) => {
+    stepDirections.forEach((direction) => removeButton(`${id}_${direction}`))
+  }
+
+  // NB: Channels live in client.state and are updated in place, so mixer
+  // is always current
+  const createMixerAssignment = (mixer: Channel, type: string) => {
+    const name = `${mixer.mixerId}_${type}`
     const isLocal = type === "local"
 
-    const [muted, volume] = isLocal
-      ? [mixer.isLocalInMuted, mixer.localVolumeIn]
-      : [mixer.isStreamInMuted, mixer.streamVolumeIn]
+    const curve = () => curveFor(assignmentName(mixer, type), mixer.name)
+    const volume = () =>
+      encoders[name]
+        ? center
+        : curve().toMM(isLocal ? mixer.localVolIn : mixer.streamVolIn)
+    const adjust = adjuster("input", mixer.mixerId, type)
+
+    const faderName = assignmentName(mixer, type)
+    if (matchesFader(settings.relativeFaders, faderName, mixer.name)) {
+      encoders[name] = newEncoder()
+    }
 
     const assign = new Assignment(name, {
-      name: `${mixer.mixerName} - ${friendlyType}`,
-      muted,
-      volume: volumeWaveLinkToMM(volume),
+      name: assignmentName(mixer, type),
+      muted: isLocal ? mixer.isLocalMuteIn : mixer.isStreamMuteIn,
+      volume: volume(),
     })
 
     // Set volume even harder
     setTimeout(() => {
-      assign.volume = volumeWaveLinkToMM(volume)
+      assign.volume = volume()
     }, 100)
 
+    pickups[name] = new Pickup(volume())
+
     assign.on("volumeChanged", (level: number) => {
-      client.setVolume(
-        "input",
-        mixer.mixId,
-        type,
-        volumeMMToWaveLink(level)
-      )
+      if (encoders[name]) {
+        turn(name, assign, level, adjust)
+        return
+      }
+
+      if (!pickUp(name, level, assignmentName(mixer, type), mixer.name)) {
+        assign.volume = volume()
+        return
+      }
+
+      client
+        .setVolume("input", mixer.mixerId, type, curve().toWaveLink(level))
+        .catch((e: Error) => console.log("Couldn't set the volume", e))
       assign.volume = level
     })
 
+    // NB: The fader's mute follows along through channelChanged
     assign.on("mutePressed", () => {
-      client.setMute("input", mixer.mixId, type)
-      assign.muted = isLocal ? mixer.isLocalInMuted : mixer.isStreamInMuted
+      client
+        .setMute("input", mixer.mixerId, type)
+        .catch((e: Error) => console.log("Couldn't mute", e))
     })
 
-    return {id: name, assignment: assign}
+    if (wantsStepButtons(faderName, mixer.name)) {
+      createStepButtons(name, faderName, adjust)
+    }
+
+    return assign
   }
 
-  const createFilterButton = (mixer: Mixer, f: Filter) => {
+  const createFilterButton = (mixer: Channel, f: Filter) => {
     createButton(
-      `${mixer.mixId}_${f.filterID}`,
+      `${mixer.mixerId}_${f.filterID}`,
       {
-        name: `${f.name} on ${mixer.mixerName}`,
+        name: filterButtonName(mixer, f),
         active: f.active,
       },
-      (b) => {
-        client.setFilter(mixer.mixId, f.filterID)
-        f.active = b.active
-      }
+      () =>
+        client
+          .setFilter(mixer.mixerId, f.filterID)
+          .catch((e: Error) => console.log("Couldn't toggle the filter", e))
     )
   }
+
+  const createFilterBypassButton = (mixer: Channel, type: string) => {
+    createButton(
+      `${mixer.mixerId}_bypass_${type}`,
+      {
+        name: filterBypassButtonName(mixer, type),
+        active: isFilterBypassed(mixer, type),
+      },
+      () =>
+        client
+          .setFilterBypass(mixer.mixerId, type)
+          .catch((e: Error) => console.log("Couldn't bypass filters", e))
+    )
+  }
+
+  const addChannel = (mixer: Channel) => {
+    // For each mixer, we create a fader for both the headphone and stream
+    // output
+    mixerTypes.forEach((type) => {
+      mixerMap[`${mixer.mixerId}_${type}`] = createMixerAssignment(mixer, type)
+    })
+
+    mixer.filters.forEach((f) => {
+      createFilterButton(mixer, f)
+    })
+
+    bypassTypes.forEach((type) => {
+      createFilterBypassButton(mixer, type)
+    })
+  }
+
+  const removeChannel = (mixer: Channel) => {
+    mixerTypes.forEach((type) => {
+      const id = `${mixer.mixerId}_${type}`
+      mixerMap[id].remove()
+      delete mixerMap[id]
+      delete pickups[id]
+      delete encoders[id]
+      removeStepButtons(id)
+    })
+
+    mixer.filters.forEach((f) => {
+      removeButton(`${mixer.mixerId}_${f.filterID}`)
+    })
+
+    bypassTypes.forEach((type) => {
+      removeButton(`${mixer.mixerId}_bypass_${type}`)
+    })
+  }
+
+  // Renaming a channel keeps its faders and buttons, so that the user's MIDI
+  // bindings don't notice anything
+  const renameChannel = (mixer: Channel) => {
+    mixerTypes.forEach((type) => {
+      const id = `${mixer.mixerId}_${type}`
+      mixerMap[id].name = assignmentName(mixer, type)
+
+      stepDirections.forEach((direction) => {
+        const stepButton = buttonList[`${id}_${direction}`]
+        if (stepButton) {
+          stepButton.name = stepButtonName(
+            assignmentName(mixer, type),
+            direction
+          )
+        }
+      })
+    })
+
+    mixer.filters.forEach((f) => {
+      buttonList[`${mixer.mixerId}_${f.filterID}`].name = filterButtonName(
+        mixer,
+        f
+      )
+    })
+
+    bypassTypes.forEach((type) => {
+      buttonList[`${mixer.mixerId}_bypass_${type}`].name =
+        filterBypassButtonName(mixer, type)
+    })
+  }
+
+  // Filters can come and go on an existing channel too
+  const updateFilterButtons = (mixer: Channel, oldFilters: Filter[]) => {
+    oldFilters.forEach((f) => {
+      if (mixer.filters.some((x) => x.filterID === f.filterID)) return
+      removeButton(`${mixer.mixerId}_${f.filterID}`)
+    })
+
+    mixer.filters.forEach((f) => {
+      const btn = buttonList[`${mixer.mixerId}_${f.filterID}`]
+      if (!btn) {
+        createFilterButton(mixer, f)
+        return
+      }
+
+      btn.name = filterButtonName(mixer, f)
+      btn.active = f.active
+    })
+  }
+
   //
   // Set up fader assignments
   //
 
-  mixerMap = (await client.getMixers()).reduce(
-    (
-      acc: Record<string, { mixer: Mixer; assignment: Assignment }>,
-      mixer: Mixer
-    ) => {
-      // For each mixer, we create a fader for both the headphone and stream
-      // output
-      mixerTypes.forEach((type) => {
-        var assign = createMixerAssignment(mixer, type)
-        acc[assign.id] = { mixer, assignment: assign.assignment }
-      })
+  await client.getMixers()
+  bypassTypes = supportedBypassTypes()
+  client.getMixerList().forEach((mixer: Channel) => addChannel(mixer))
 
-      mixer.filters.forEach((f) => {
-        createFilterButton(mixer, f)
-      })
+  const updateBypassButtons = () => {
+    const types = supportedBypassTypes()
+    if (types.length === bypassTypes.length) return
 
-      return acc
-    },
-    {}
-  )
+    client.getMixerList().forEach((mixer: Channel) => {
+      bypassTypes.forEach((type) =>
+        removeButton(`${mixer.mixerId}_bypass_${type}`)
+      )
+    })
+    bypassTypes = types
+    client.getMixerList().forEach((mixer: Channel) => {
+      bypassTypes.forEach((type) => createFilterBypassButton(mixer, type))
+    })
+  }
 
   var outputVolume = await client.getMonitoringState();
   
   // // Create slider for monitor output
   // // Maybe we should try to get the data first?
+  const monitorCurve = () => curveFor("Monitor Mix Volume")
+  const monitorVolume = (volume: number) =>
+    encoders["wavelink_monitor_mix_volume"]
+      ? center
+      : monitorCurve().toMM(volume)
+  if (matchesFader(settings.relativeFaders, "Monitor Mix Volume")) {
+    encoders["wavelink_monitor_mix_volume"] = newEncoder()
+  }
+
   var monitor_mixer_volume = outputVolume.localVolOut
   var monitor_mixer_muted = outputVolume.isLocalMuteOut
   const monitor_mixer = new Assignment("wavelink_monitor_mix_volume", {
     name: `Monitor Mix Volume`,
     muted: monitor_mixer_muted,
-    volume: volumeWaveLinkToMM(monitor_mixer_volume),
+    volume: monitorVolume(monitor_mixer_volume),
   })
 
   // Guess we need to "set it harder" (?)
   setTimeout(() => {
-    monitor_mixer.volume = volumeWaveLinkToMM(monitor_mixer_volume)
+    monitor_mixer.volume = monitorVolume(monitor_mixer_volume)
     monitor_mixer.muted = monitor_mixer_muted
   }, 100)
 
+  pickups["wavelink_monitor_mix_volume"] = new Pickup(
+    monitorCurve().toMM(monitor_mixer_volume)
+  )
+
   monitor_mixer.on("volumeChanged", (level: number) => {
-    client.setOutputVolume(
-      "local",
-      volumeMMToWaveLink(level)
-    )
+    if (encoders["wavelink_monitor_mix_volume"]) {
+      turn(
+        "wavelink_monitor_mix_volume",
+        monitor_mixer,
+        level,
+        adjuster("output", null, "local")
+      )
+      return
+    }
+
+    if (!pickUp("wavelink_monitor_mix_volume", level, "Monitor Mix Volume")) {
+      monitor_mixer.volume = monitorCurve().toMM(client.output.localVolOut)
+      return
+    }
+
+    client
+      .setOutputVolume("local", monitorCurve().toWaveLink(level))
+      .catch((e: Error) => console.log("Couldn't set the volume", e))
   })
 
   monitor_mixer.on("mutePressed", () => {
-    client.setMute("output", null, "local")
-    monitor_mixer.muted = client.output?.isLocalMuteOut
+    client
+      .setMute("output", null, "local")
+      .catch((e: Error) => console.log("Couldn't mute", e))
   })
 
+  if (wantsStepButtons("Monitor Mix Volume")) {
+    createStepButtons(
+      "wavelink_monitor_mix_volume",
+      "Monitor Mix",
+      adjuster("output", null, "local")
+    )
+  }
+
   // Add slider for stream mix output volume
+  const streamCurve = () => curveFor("Stream Mix Volume")
+  const streamVolume = (volume: number) =>
+    encoders["wavelink_stream_mix_volume"] ? center : streamCurve().toMM(volume)
+  if (matchesFader(settings.relativeFaders, "Stream Mix Volume")) {
+    encoders["wavelink_stream_mix_volume"] = newEncoder()
+  }
+
   var stream_mixer_volume = outputVolume.streamVolOut
   var stream_mixer_muted = outputVolume.isStreamMuteOut
 
   const stream_mixer = new Assignment("wavelink_stream_mix_volume", {
     name: `Stream Mix Volume`,
     muted: stream_mixer_muted,
-    volume: volumeWaveLinkToMM(stream_mixer_volume),
+    volume: streamVolume(stream_mixer_volume),
   })
 
   // Guess we need to "set it harder" (?)
   setTimeout(() => {
-    stream_mixer.volume = volumeWaveLinkToMM(stream_mixer_volume)
+    stream_mixer.volume = streamVolume(stream_mixer_volume)
     stream_mixer.muted = stream_mixer_muted
   }, 100)
 
+  pickups["wavelink_stream_mix_volume"] = new Pickup(
+    streamCurve().toMM(stream_mixer_volume)
+  )
+
   stream_mixer.on("volumeChanged", (level: number) => {
-    client.setOutputVolume(
-      "stream",
-      volumeMMToWaveLink(level)
-    )
+    if (encoders["wavelink_stream_mix_volume"]) {
+      turn(
+        "wavelink_stream_mix_volume",
+        stream_mixer,
+        level,
+        adjuster("output", null, "stream")
+      )
+      return
+    }
+
+    if (!pickUp("wavelink_stream_mix_volume", level, "Stream Mix Volume")) {
+      stream_mixer.volume = streamCurve().toMM(client.output.streamVolOut)
+      return
+    }
+
+    client
+      .setOutputVolume("stream", streamCurve().toWaveLink(level))
+      .catch((e: Error) => console.log("Couldn't set the volume", e))
   })
 
   stream_mixer.on("mutePressed", () => {
-    client.setMute("output", null, "stream")
-    stream_mixer.muted = client.output?.isStreamMuteOut
+    client
+      .setMute("output", null, "stream")
+      .catch((e: Error) => console.log("Couldn't mute", e))
   })
 
-  client.event!.on("outputMixerChanged", () => {
-    if (client.output)
-    {
-      monitor_mixer.volume = volumeWaveLinkToMM(client.output.localVolOut)
-      monitor_mixer.muted = client.output.isLocalMuteOut
-      stream_mixer.volume = volumeWaveLinkToMM(client.output.streamVolOut)
-      stream_mixer.muted = client.output.isStreamMuteOut
+  if (wantsStepButtons("Stream Mix Volume")) {
+    createStepButtons(
+      "wavelink_stream_mix_volume",
+      "Stream Mix",
+      adjuster("output", null, "stream")
+    )
+  }
+
+  client.state!.on("outputChanged", ({ field, value }: FieldChange) => {
+    if (field === "localVolOut") {
+      followVolume(
+        "wavelink_monitor_mix_volume",
+        monitor_mixer,
+        monitorCurve().toMM(value as number)
+      )
+    } else if (field === "isLocalMuteOut") {
+      monitor_mixer.muted = value as boolean
+    } else if (field === "streamVolOut") {
+      followVolume(
+        "wavelink_stream_mix_volume",
+        stream_mixer,
+        streamCurve().toMM(value as number)
+      )
+    } else if (field === "isStreamMuteOut") {
+      stream_mixer.muted = value as boolean
+    }
+  })
+
+  //
+  // Set up microphone assignments (Wave XLR / Wave:3)
+  //
+
+  await client
+    .getMicrophoneState()
+    .catch((e: Error) => console.log("Couldn't fetch the microphone state", e))
+  await client
+    .getMicrophoneSettings()
+    .catch((e: Error) => console.log("Couldn't fetch microphone settings", e))
+
+  const createMicAssignment = (
+    id: string,
+    name: string,
+    setting: "microphoneGain" | "microphoneOutputVolume" | "microphoneBalance",
+    setValue: (value: number) => Promise<unknown>
+  ) => {
+    const micSettings: MicSettings | undefined = client.micSettings
+    const assign = new Assignment(id, {
+      name,
+      volume: volumeWaveLinkToMM(micSettings ? micSettings[setting] : 0),
+    })
+
+    // Guess we need to "set it harder" (?)
+    setTimeout(() => {
+      if (client.micSettings) {
+        assign.volume = volumeWaveLinkToMM(client.micSettings[setting])
+      }
+    }, 100)
+
+    assign.on("volumeChanged", (level: number) => {
+      // Mic settings never came in, nothing to go on
+      if (!client.micSettings) return
+
+      setValue(volumeMMToWaveLink(level)).catch((e: Error) =>
+        console.log(`Couldn't set ${name}`, e)
+      )
+      assign.volume = level
+    })
+
+    return assign
+  }
+
+  // Setting => its fader, empty while there's no mic (or Wave Link can't do
+  // mic settings)
+  let micFaders: Record<string, Assignment> = {}
+
+  const micButtons: Record<string, string> = {
+    isMicrophoneLowcutOn: "toggleMicLowcut",
+    isMicrophoneClipguardOn: "toggleMicClipguard",
+  }
+
+  const createMicControls = () => {
+    micFaders = {
+      microphoneGain: createMicAssignment(
+        "wavelink_mic_gain",
+        "Mic Gain",
+        "microphoneGain",
+        (value) => client.setMicGain(value)
+      ),
+      microphoneOutputVolume: createMicAssignment(
+        "wavelink_mic_output_volume",
+        "Mic Output Volume",
+        "microphoneOutputVolume",
+        (value) => client.setMicOutputVolume(value)
+      ),
+      microphoneBalance: createMicAssignment(
+        "wavelink_mic_balance",
+        "Mic/PC Balance",
+        "microphoneBalance",
+        (value) => client.setMicBalance(value)
+      ),
+    }
+
+    createButton(
+      "toggleMicLowcut",
+      {
+        name: "Toggle Mic Lowcut",
+        active: !!client.micSettings?.isMicrophoneLowcutOn,
+      },
+      () => {
+        if (!client.micSettings) return
+
+        client
+          .setLowcut()
+          .catch((e: Error) => console.log("Couldn't toggle Lowcut", e))
+      }
+    )
+
+    createButton(
+      "toggleMicClipguard",
+      {
+        name: "Toggle Mic Clipguard",
+        active: !!client.micSettings?.isMicrophoneClipguardOn,
+      },
+      () => {
+        if (!client.micSettings) return
+
+        client
+          .setClipguard()
+          .catch((e: Error) => console.log("Couldn't toggle Clipguard", e))
+      }
+    )
+  }
+
+  const removeMicControls = () => {
+    Object.values(micFaders).forEach((x) => x.remove())
+    micFaders = {}
+    Object.values(micButtons).forEach((id) => removeButton(id))
+  }
+
+  const updateMicControls = () => {
+    const shown = Object.keys(micFaders).length > 0
+    // NB: If Wave Link couldn't tell us whether there's a mic, better to
+    // show controls that do nothing than to hide ones that work
+    const wanted =
+      client.hasCapability("micSettings") &&
+      client.isMicrophoneConnected !== false
+
+    if (wanted && !shown) createMicControls()
+    else if (!wanted && shown) removeMicControls()
+  }
+
+  updateMicControls()
+
+  client.state!.on("micChanged", ({ field, value }: FieldChange) => {
+    if (micFaders[field]) {
+      micFaders[field].volume = volumeWaveLinkToMM(value as number)
+    } else if (buttonList[micButtons[field]]) {
+      buttonList[micButtons[field]].active = value as boolean
     }
   })
 
@@ -284,27 +783,61 @@ async function initialize() {
   // assign.on("mutePressed", () => {
   // })
 
+  // Follow changes to channels, whether they came from Wave Link or from us
+  client.state!.on("channelAdded", (mixer: Channel) => addChannel(mixer))
+  client.state!.on("channelRemoved", (mixer: Channel) => removeChannel(mixer))
 
-  // Monitor mixer level changes from Wave Link and update the faders
-  //
-  // deviceId example: pcm_out_01_v_00_sd2
-  // mixerId examples: pcm_out_01_v_00_sd2_local, pcm_out_01_v_00_sd2_stream
-  client.event!.on("inputMixerChanged", (deviceId: string) => {
-    const mixer: MixerFromEvent = client.getMixer(deviceId)
-
-    const streamMixer = mixerMap[`${deviceId}_stream`]
-    const localMixer = mixerMap[`${deviceId}_local`]
+  client.state!.on(
+    "channelChanged",
+    ({ mixerId, field, value, previous }: ChannelChange) => {
+      const mixer: Channel | undefined = client.getMixer(mixerId)
+      const localMixer = mixerMap[`${mixerId}_local`]
+      const streamMixer = mixerMap[`${mixerId}_stream`]
 
-    localMixer.assignment.muted = mixer.isLocalMuteIn
-    localMixer.assignment.volume = volumeWaveLinkToMM(mixer.localVolIn)
-    streamMixer.assignment.muted = mixer.isStreamMuteIn
-    streamMixer.assignment.volume = volumeWaveLinkToMM(mixer.streamVolIn)
+      // Channel is on its way in / out
+      if (!mixer || !localMixer || !streamMixer) return
 
-    // Update filter buttons
-    mixer.filters.forEach((f) => {
-      buttonList[`${deviceId}_${f.filterID}`].active = f.active
-    })
-  })
+      switch (field) {
+        case "name":
+          renameChannel(mixer)
+          break
+        case "localVolIn":
+          followVolume(
+            `${mixerId}_local`,
+            localMixer,
+            curveFor(assignmentName(mixer, "local"), mixer.name).toMM(
+              value as number
+            )
+          )
+          break
+        case "streamVolIn":
+          followVolume(
+            `${mixerId}_stream`,
+            streamMixer,
+            curveFor(assignmentName(mixer, "stream"), mixer.name).toMM(
+              value as number
+            )
+          )
+          break
+        case "isLocalMuteIn":
+          localMixer.muted = value as boolean
+          break
+        case "isStreamMuteIn":
+          streamMixer.muted = value as boolean
+          break
+        case "filters":
+          updateFilterButtons(mixer, (previous as Filter[]) || [])
+          break
+        case "localMixFilterBypass":
+        case "streamMixFilterBypass":
+          bypassTypes.forEach((type) => {
+            const btn = buttonList[`${mixerId}_bypass_${type}`]
+            if (btn) btn.active = isFilterBypassed(mixer, type)
+          })
+          break
+      }
+    }
+  )
 
   //
   // Set up Buttons
@@ -316,55 +849,226 @@ async function initialize() {
       name: "Toggle Monitor Mix / Stream Mix in Headphones",
       active: (await client.getSwitchState()) === "StreamMix",
     },
-    async (b) => {
-      const current = await client.getSwitchState()
-      const newState = current === "StreamMix" ? "LocalMix" : "StreamMix"
+    async () => {
+      try {
+        const current = await client.getSwitchState()
+        const newState = current === "StreamMix" ? "LocalMix" : "StreamMix"
 
-      await client.changeSwitchState(newState)
-      b.active = newState === "StreamMix"
+        await client.changeSwitchState(newState)
+      } catch (e) {
+        console.log("Couldn't switch the headphone mix", e)
+      }
     }
   )
 
-  console.log(`Found ${Object.keys(mixerMap).length} mixers`)
-  console.log(mixerMap)
+  // Read-only, lights up while we're talking to Wave Link
+  createButton(
+    "wavelink_connected",
+    { name: "Wave Link Connected", active: client.isConnected },
+    (b) => (b.active = client.isConnected)
+  )
+
+  client.event!.on("connected", () => {
+    buttonList["wavelink_connected"].active = true
+  })
+
+  client.event!.on("disconnected", () => {
+    buttonList["wavelink_connected"].active = false
+
+    if (client.autoReconnect) {
+      $MM.showNotification("Lost the connection to Wave Link, reconnecting")
+    }
+  })
 
-  // Channel is added or deleted
-  client.event!.on("channelsChanged", async () => {
-    // Removing all assignments
-    var mixerNames = Object.keys(mixerMap)
-    mixerNames.forEach( (mixerName) => {
-      mixerMap[mixerName].assignment.remove();
+  //
+  // Set up monitor mix output device buttons
+  //
+
+  try {
+    await client.getMonitorMixOutputList()
+  } catch (e) {
+    console.log("Couldn't fetch monitor mix output list", e)
+  }
+
+  // NB: What's left of the list once Wave Link turns out not to have it is
+  // stale
+  const monitorOutputs = (): MonitorOutput[] =>
+    client.hasCapability("monitorMixOutputList")
+      ? (client.localOutputList as MonitorOutput[]) || []
+      : []
+
+  // Button ID => output device
+  let monitorOutputButtons: Record<string, string> = {}
+
+  const updateMonitorOutputButtons = () => {
+    Object.keys(monitorOutputButtons).forEach((id) => {
+      buttonList[id].active =
+        monitorOutputButtons[id] === client.selectedMonitorMix
     })
+  }
 
-    // Adding all assignments
-    mixerMap = (await client.getMixers()).reduce(
-      (
-        acc: Record<string, { mixer: Mixer; assignment: Assignment }>,
-        mixer: Mixer
-      ) => {
-        // For each mixer, we create a fader for both the headphone and stream
-        // output
-        mixerTypes.forEach((type) => {
-          var assign = createMixerAssignment(mixer, type)
-          acc[assign.id] = { mixer, assignment: assign.assignment }
-        })
-  
-        mixer.filters.forEach((f) => {
-          createFilterButton(mixer, f)
-        })
-  
-        return acc
+  // NB: We only add / remove the buttons that actually changed so that
+  // existing MIDI bindings survive a refresh of the output list
+  const createMonitorOutputButtons = () => {
+    const outputs = monitorOutputs()
+    const newButtons = outputs.reduce((acc: Record<string, string>, output) => {
+      acc[`monitorMixOutput_${buttonIdPart(output.value)}`] = output.value
+      return acc
+    }, {})
+
+    Object.keys(monitorOutputButtons).forEach((id) => {
+      if (newButtons[id]) return
+      removeButton(id)
+    })
+
+    outputs.forEach((output) => {
+      const id = `monitorMixOutput_${buttonIdPart(output.value)}`
+      if (monitorOutputButtons[id]) return
+
+      createButton(
+        id,
+        {
+          name: `Headphone Output: ${output.name}`,
+          active: output.value === client.selectedMonitorMix,
+        },
+        () =>
+          client
+            .setMonitorMixOutput(output.value)
+            .catch((e: Error) =>
+              console.log("Couldn't switch the headphone output", e)
+            )
+      )
+    })
+
+    monitorOutputButtons = newButtons
+  }
+
+  createMonitorOutputButtons()
+
+  const updateCycleButton = () => {
+    if (!client.hasCapability("monitorMixOutputList")) {
+      removeButton("cycleMonitorMixOutput")
+      return
+    }
+    if (buttonList["cycleMonitorMixOutput"]) return
+
+    createButton(
+      "cycleMonitorMixOutput",
+      {
+        name: "Cycle Headphone Output Device",
+        active: false,
       },
-      {}
+      async () => {
+        const outputs = monitorOutputs()
+        if (outputs.length < 1) return
+
+        const current = outputs.findIndex(
+          (x) => x.value === client.selectedMonitorMix
+        )
+        const next = outputs[(current + 1) % outputs.length]
+
+        await client
+          .setMonitorMixOutput(next.value)
+          .catch((e: Error) =>
+            console.log("Couldn't switch the headphone output", e)
+          )
+      }
     )
+  }
 
-  });
-}
+  updateCycleButton()
+
+  client.state!.on("changed", ({ field }: FieldChange) => {
+    if (field === "switchState") {
+      buttonList["toggleMonitorState"].active =
+        client.switchState === "StreamMix"
+    } else if (field === "selectedMonitorMix") {
+      updateMonitorOutputButtons()
+    } else if (field === "localOutputList") {
+      createMonitorOutputButtons()
+      updateMonitorOutputButtons()
+    } else if (field === "isMicrophoneConnected") {
+      updateMicControls()
+    }
+  })
+
+  //
+  // Set up scene buttons
+  //
+
+  const { sceneNames, sceneFadeTime } = settings
+  const scenes = loadScenes()
+
+  sceneNames.forEach((name) => {
+    const id = buttonIdPart(name)
+
+    createButton(
+      `scene_save_${id}`,
+      {
+        name: `Save Scene: ${name}`,
+        active: false,
+      },
+      () => {
+        scenes[name] = client.getScene() as Scene
+
+        try {
+          saveScenes(scenes)
+        } catch (e) {
+          console.log(`Couldn't save scene ${name}`, e)
+          $MM.showNotification(`Couldn't save scene ${name}! ${e}`)
+          return
+        }
+        $MM.showNotification(`Saved scene ${name}`)
+      }
+    )
+
+    createButton(
+      `scene_recall_${id}`,
+      {
+        name: `Recall Scene: ${name}`,
+        active: false,
+      },
+      async (b) => {
+        if (!scenes[name]) {
+          $MM.showNotification(`Scene ${name} hasn't been saved yet`)
+          return
+        }
 
+        try {
+          await client.applyScene(scenes[name], sceneFadeTime)
+        } catch (e) {
+          console.log(`Couldn't recall scene ${name}`, e)
+          return
+        }
 
-initialize().then(() => console.log("started!"))
+        sceneNames.forEach((x) => {
+          buttonList[`scene_recall_${buttonIdPart(x)}`].active = false
+        })
+        b.active = true
+      }
+    )
+  })
 
-// NB: Without this, Midi Mixer immediately terminates
-setInterval(() => {
-  console.log("")
-}, 1 * 60 * 60 * 1000)
+  // NB: Wave Link only turns out not to have something once we've asked for
+  // it, and a reconnect might be to a different build altogether
+  const updateCapabilities = () => {
+    updateBypassButtons()
+    updateMicControls()
+    createMonitorOutputButtons()
+    updateMonitorOutputButtons()
+    updateCycleButton()
+  }
+
+  client.event!.on("capabilitiesChanged", updateCapabilities)
+
+  client.event!.on("reconnected", () => {
+    updateCapabilities()
+
+    console.log("Reconnected to Wave Link")
+    saveLastPort(client.port)
+    $MM.showNotification("Reconnected to Wave Link")
+  })
+
+  console.log(`Found ${Object.keys(mixerMap).length} mixers`)
+  console.log(mixerMap)
+}
@@ -0,0 +1,62 @@
+/** pickup
+ * Soft takeover for faders that aren't motorized. When Wave Link moves a
+ * volume on its own (a scene, the Wave Link app, another controller...) the
+ * physical fader stays where it was, and the first touch would make the
+ * channel jump to wherever it happens to be. Instead we ignore the fader
+ * until it's crossed (or reached) Wave Link's value, and take over from
+ * there.
+ *
+ * Everything here is in MIDI Mixer's 0 - 1.
+ */
+
+// How close counts as "there", faders are rarely exactly anywhere
+const tolerance = 0.02
+
+export default class Pickup {
+  // Wave Link's volume, which the fader has to pick up
+  private target: number
+  // Where the fader was last seen, undefined until it's moved at all
+  private position: number | undefined
+  // What we last passed on to Wave Link while picked up
+  private sent: number | undefined
+  private engaged = false
+
+  // NB: We don't know where the fader is at startup, so it starts out
+  // having to pick up the current volume too
+  constructor(volume: number) {
+    this.target = volume
+  }
+
+  get isEngaged() {
+    return this.engaged
+  }
+
+  // Wave Link's volume is now volume, whoever changed it
+  moved(volume: number) {
+    // That's just our own change coming back
+    if (this.engaged && near(volume, this.sent)) return
+
+    this.target = volume
+    this.engaged = near(volume, this.position)
+  }
+
+  // The fader moved to level, returns whether to pass it on to Wave Link
+  accept(level: number) {
+    if (!this.engaged) {
+      const crossed =
+        this.position !== undefined &&
+        Math.sign(this.position - this.target) !==
+          Math.sign(level - this.target)
+
+      this.engaged = crossed || near(level, this.target)
+    }
+
+    this.position = level
+    if (this.engaged) this.sent = level
+    return this.engaged
+  }
+}
+
+function near(a: number, b: number | undefined) {
+  return b !== undefined && Math.abs(a - b) <= tolerance
+}
@@ -0,0 +1,65 @@
+/** protocols
+ * Adapters between WaveLinkClient and the JSON-RPC API of one generation of
+ * Wave Link, so a new API can be supported without touching the client.
+ *
+ * The client always talks in Wave Link 1.x's method names and payloads
+ * (getAllChannelInfo, setInputMixer with localVolumeIn / streamVolumeIn, ...).
+ * An adapter translates those to whatever its server speaks and back:
+ *
+ *   name                           Shown in logs
+ *   supports(applicationInfo)      Whether this is the server's protocol
+ *   capabilities(applicationInfo)  { micSettings, filterBypass,
+ *                                    monitorMixOutputList } => boolean
+ *   request(method, params)        1.x request => { method, params } to send
+ *   response(method, result)       The server's result => 1.x result, method
+ *                                  is the 1.x name the request was made with
+ *   notifications                  Notification methods the server sends
+ *   notification(method, params)   A server notification => 1.x
+ *                                  { method, params }
+ *
+ * NB: getApplicationInfo is the one method every generation has to answer,
+ * it's how we pick the adapter in the first place.
+ */
+
+// Wave Link 1.x, nothing to translate
+export const waveLink1 = {
+  name: "Wave Link 1.x",
+
+  supports: () => true,
+
+  // NB: Microphone settings and filter bypass are there from interface
+  // revision 3 (Wave Link 1.6), the one the original Elgato plugin was
+  // written against. Builds that don't say which revision they are get the
+  // benefit of the doubt, and whatever turns out to be missing anyway is
+  // found out the hard way (see WaveLinkClient.callIfCapable and getMixers)
+  capabilities: (applicationInfo) => {
+    const revision = applicationInfo["interfaceRevision"]
+    const current = revision == undefined || revision >= 3
+
+    return {
+      micSettings: current,
+      filterBypass: current,
+      monitorMixOutputList: true,
+    }
+  },
+
+  request: (method, params) => ({ method, params }),
+
+  response: (method, result) => result,
+
+  notifications: [
+    "microphoneStateChanged",
+    "microphoneSettingsChanged",
+    "localMonitorOutputChanged",
+    "monitorSwitchOutputChanged",
+    "outputMixerChanged",
+    "inputMixerChanged",
+    "channelsChanged",
+  ],
+
+  notification: (method, params) => ({ method, params }),
+}
+
+// Tried in order, the first one that supports the server wins. Newer
+// generations go in front of the ones they replace.
+export const defaultProtocols = [waveLink1]
@@ -0,0 +1,45 @@
+import { dataFile, loadJson, saveJson } from "./storage"
+
+// NB: Field names match Wave Link's JSON-RPC API, see
+// WaveLinkClient.getScene()
+export interface SceneChannel {
+  localVolumeIn: number
+  streamVolumeIn: number
+  isLocalInMuted: boolean
+  isStreamInMuted: boolean
+  filters: { filterID: string; active: boolean }[]
+  localMixFilterBypass: boolean
+  streamMixFilterBypass: boolean
+}
+
+export interface Scene {
+  channels: Record<string, SceneChannel>
+  output: {
+    localVolumeOut: number
+    streamVolumeOut: number
+    isLocalOutMuted: boolean
+    isStreamOutMuted: boolean
+  }
+  switchState: string
+}
+
+export function loadScenes(
+  file = dataFile("scenes.json")
+): Record<string, Scene> {
+  return loadJson(file, {})
+}
+
+export function saveScenes(
+  scenes: Record<string, Scene>,
+  file = dataFile("scenes.json")
+) {
+  saveJson(file, scenes)
+}
+
+// "Just Chatting, Gaming,BRB" => ["Just Chatting", "Gaming", "BRB"]
+export function parseSceneNames(names: string) {
+  return names
+    .split(",")
+    .map((x) => x.trim())
+    .filter((x) => x.length > 0)
+}
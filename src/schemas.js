@@ -0,0 +1,151 @@
+/** schemas
+ * What Wave Link 1.x's notifications and responses look like, so anything
+ * malformed can be logged and thrown away before it ends up in the client's
+ * state. Checked after protocols.js has translated them, so one set of
+ * schemas covers every protocol.
+ *
+ * A schema is a function that takes a value and returns what's wrong with
+ * it, or null if nothing is.
+ */
+
+const type = (name) => (value) =>
+  typeof value === name ? null : `expected ${name}, got ${describe(value)}`
+
+const string = type("string")
+const boolean = type("boolean")
+
+const number = (value) =>
+  typeof value === "number" && isFinite(value)
+    ? null
+    : `expected number, got ${describe(value)}`
+
+const optional = (schema) => (value) =>
+  value === undefined || value === null ? null : schema(value)
+
+const shape = (fields) => (value) => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return `expected object, got ${describe(value)}`
+  }
+
+  for (const key of Object.keys(fields)) {
+    const error = fields[key](value[key])
+    if (error) return `${key}: ${error}`
+  }
+  return null
+}
+
+// NB: Wave Link sends some lists as objects keyed by index, the client only
+// ever looks at their values
+const listOf = (schema) => (value) => {
+  if (!value || typeof value !== "object") {
+    return `expected list, got ${describe(value)}`
+  }
+
+  const items = Object.values(value)
+  for (let i = 0; i < items.length; i++) {
+    const error = schema(items[i])
+    if (error) return `[${i}]: ${error}`
+  }
+  return null
+}
+
+function describe(value) {
+  if (value === null) return "null"
+  if (Array.isArray(value)) return "array"
+  return typeof value
+}
+
+const filter = shape({
+  active: boolean,
+  filterID: string,
+  name: string,
+})
+
+const channel = shape({
+  mixId: string,
+  mixerName: string,
+  localVolumeIn: number,
+  streamVolumeIn: number,
+  isLocalInMuted: boolean,
+  isStreamInMuted: boolean,
+  isAvailable: optional(boolean),
+  isLinked: optional(boolean),
+  filters: listOf(filter),
+  // NB: Not there before interface revision 3
+  localMixFilterBypass: optional(boolean),
+  streamMixFilterBypass: optional(boolean),
+})
+
+const channels = listOf(channel)
+
+// NB: setInputMixer's response only has to carry what
+// WaveLinkClient.applyInputMixerResult() reads, not the whole channel
+const inputMixerResult = shape({
+  localVolumeIn: number,
+  streamVolumeIn: number,
+  isLocalInMuted: boolean,
+  isStreamInMuted: boolean,
+  filters: listOf(filter),
+  isAvailable: optional(boolean),
+  isLinked: optional(boolean),
+  deltaLinked: optional(number),
+  localMixFilterBypass: optional(boolean),
+  streamMixFilterBypass: optional(boolean),
+})
+
+const output = shape({
+  localVolumeOut: number,
+  streamVolumeOut: number,
+  isLocalOutMuted: boolean,
+  isStreamOutMuted: boolean,
+})
+
+const micSettings = shape({
+  microphoneGain: number,
+  microphoneOutputVolume: number,
+  microphoneBalance: number,
+  isMicrophoneLowcutOn: boolean,
+  isMicrophoneClipguardOn: boolean,
+})
+
+const microphoneState = shape({ isMicrophoneConnected: boolean })
+const switchState = shape({ switchState: string })
+const monitorMix = shape({ monitorMix: string })
+
+const monitorMixOutputList = shape({
+  monitorMix: optional(string),
+  monitorMixList: listOf(monitorMix),
+})
+
+// By Wave Link 1.x method name
+export const responseSchemas = {
+  getAllChannelInfo: channels,
+  setInputMixer: inputMixerResult,
+  // NB: output is just the four fields applyOutputMixerResult() reads
+  getMonitoringState: output,
+  setOutputMixer: output,
+  getSwitchState: switchState,
+  switchMonitoring: switchState,
+  getMicrophoneState: microphoneState,
+  getMicrophoneSettings: micSettings,
+  setMicrophoneSettings: micSettings,
+  getMonitorMixOutputList: monitorMixOutputList,
+  setMonitorMixOutput: monitorMix,
+}
+
+export const notificationSchemas = {
+  inputMixerChanged: channel,
+  outputMixerChanged: output,
+  channelsChanged: shape({ channels }),
+  microphoneStateChanged: microphoneState,
+  microphoneSettingsChanged: micSettings,
+  localMonitorOutputChanged: monitorMix,
+  monitorSwitchOutputChanged: switchState,
+}
+
+// What's wrong with a response / notification's params, null if it's fine
+// (or we don't know what it should look like)
+export function validate(schemas, method, value) {
+  const schema = schemas[method]
+  return schema ? schema(value) : null
+}
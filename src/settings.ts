@@ -0,0 +1,183 @@
+import { parseSceneNames } from "./scenes"
+import { Curve, parseCurve, parseLimits, VolumeLimits } from "./curves"
+
+// A value for one or more faders, see forFader()
+export interface FaderSetting<T> {
+  fader: string
+  value: T
+}
+
+// NB: Keep these in sync with the fallbacks in plugin.json
+export interface PluginSettings {
+  host: string
+  startPort: number
+  endPort: number
+  // How many times to scan the whole port range before giving up for a while
+  connectAttempts: number
+  // Seconds to wait after connectAttempts failed
+  retryDelay: number
+  // How many times we give up for a while before giving up for good
+  maxRetries: number
+  // Seconds between attempts to reconnect after we lost Wave Link
+  reconnectDelay: number
+  sceneNames: string[]
+  sceneFadeTime: number
+  // Faders that have to pick up Wave Link's volume before they do anything,
+  // see matchesFader() for what goes in here
+  pickupFaders: string[]
+  // How fader travel maps to Wave Link's volume, linear if not listed
+  volumeCurves: FaderSetting<Curve>[]
+  // Volumes faders can't go past, no limits if not listed
+  volumeLimits: FaderSetting<VolumeLimits>[]
+  // Faders that are endless encoders, see matchesFader()
+  relativeFaders: string[]
+  // Faders that get Volume Up / Down buttons, on top of the relative ones
+  stepButtons: string[]
+  // Wave Link volume per encoder tick / step button press
+  volumeStep: number
+  // How much bigger (in %) every tick in a quick spin makes the next step
+  volumeAcceleration: number
+}
+
+export const defaultSettings: PluginSettings = {
+  host: "127.0.0.1",
+  startPort: 1824,
+  endPort: 1834,
+  connectAttempts: 2,
+  retryDelay: 60,
+  maxRetries: 10,
+  reconnectDelay: 5,
+  sceneNames: ["Just Chatting", "Gaming", "BRB"],
+  sceneFadeTime: 0,
+  pickupFaders: [],
+  volumeCurves: [],
+  volumeLimits: [],
+  relativeFaders: [],
+  stepButtons: [],
+  volumeStep: 2,
+  volumeAcceleration: 50,
+}
+
+function numberSetting(value: unknown, fallback: number) {
+  const ret = parseInt(String(value ?? ""))
+  return isNaN(ret) || ret < 0 ? fallback : ret
+}
+
+// NB: For delays, 0 would retry in a tight loop
+function positiveSetting(value: unknown, fallback: number) {
+  return numberSetting(value, fallback) || fallback
+}
+
+function stringSetting(value: unknown, fallback: string) {
+  const ret = String(value ?? "").trim()
+  return ret.length > 0 ? ret : fallback
+}
+
+function listSetting(value: unknown) {
+  return String(value ?? "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter((x) => x.length > 0)
+}
+
+// Settings that pick faders are lists of channel names ("Game" is both of
+// its faders), fader names ("Game - Stream", "Monitor Mix Volume") or "*"
+// for all of them
+export function matchesFader(
+  patterns: string[],
+  faderName: string,
+  channelName?: string
+) {
+  return patterns.some((pattern) => {
+    const x = pattern.toLowerCase()
+    return (
+      x === "*" ||
+      x === faderName.toLowerCase() ||
+      x === channelName?.toLowerCase()
+    )
+  })
+}
+
+// "Game - Stream: log, Music: linear" => one FaderSetting per entry, whatever
+// parse() can't make sense of is dropped
+function faderSetting<T>(
+  value: unknown,
+  parse: (x: string) => T | undefined
+): FaderSetting<T>[] {
+  return listSetting(value).reduce((acc: FaderSetting<T>[], entry) => {
+    const i = entry.lastIndexOf(":")
+    const parsed = i > 0 ? parse(entry.slice(i + 1)) : undefined
+    if (parsed === undefined) return acc
+
+    acc.push({ fader: entry.slice(0, i).trim(), value: parsed })
+    return acc
+  }, [])
+}
+
+// Picks a fader's setting, the fader's own beats its channel's beats "*"
+export function forFader<T>(
+  settings: FaderSetting<T>[],
+  faderName: string,
+  channelName?: string
+) {
+  const find = (name?: string) =>
+    settings.find((x) => x.fader.toLowerCase() === name?.toLowerCase())
+
+  return (find(faderName) ?? find(channelName) ?? find("*"))?.value
+}
+
+// MIDI Mixer hands us whatever the user typed in, so anything that doesn't
+// parse falls back to its default
+export function parseSettings(
+  settings: Record<string, unknown>
+): PluginSettings {
+  const startPort = numberSetting(settings.startPort, defaultSettings.startPort)
+
+  return {
+    host: stringSetting(settings.host, defaultSettings.host),
+    startPort,
+    endPort: Math.max(
+      startPort,
+      numberSetting(settings.endPort, defaultSettings.endPort)
+    ),
+    // NB: 0 scans would never find anything
+    connectAttempts:
+      numberSetting(
+        settings.connectAttempts,
+        defaultSettings.connectAttempts
+      ) || defaultSettings.connectAttempts,
+    retryDelay: positiveSetting(
+      settings.retryDelay,
+      defaultSettings.retryDelay
+    ),
+    maxRetries: numberSetting(settings.maxRetries, defaultSettings.maxRetries),
+    reconnectDelay: positiveSetting(
+      settings.reconnectDelay,
+      defaultSettings.reconnectDelay
+    ),
+    sceneNames: parseSceneNames(
+      stringSetting(settings.sceneNames, defaultSettings.sceneNames.join(", "))
+    ),
+    sceneFadeTime: numberSetting(
+      settings.sceneFadeTime,
+      defaultSettings.sceneFadeTime
+    ),
+    pickupFaders: listSetting(settings.pickupFaders),
+    volumeCurves: faderSetting(settings.volumeCurves, parseCurve),
+    volumeLimits: faderSetting(settings.volumeLimits, parseLimits),
+    relativeFaders: listSetting(settings.relativeFaders),
+    stepButtons: listSetting(settings.stepButtons),
+    // NB: Steps of 0 wouldn't do anything
+    volumeStep:
+      numberSetting(settings.volumeStep, defaultSettings.volumeStep) ||
+      defaultSettings.volumeStep,
+    volumeAcceleration: numberSetting(
+      settings.volumeAcceleration,
+      defaultSettings.volumeAcceleration
+    ),
+  }
+}
+
+export async function loadSettings() {
+  return parseSettings(await $MM.getSettings())
+}
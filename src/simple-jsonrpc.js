@@ -62,7 +62,7 @@ var clone = function (value) {
   return JSON.parse(JSON.stringify(value))
 }
 
-var ERRORS = {
+export var ERRORS = {
   PARSE_ERROR: {
     code: -32700,
     message:
@@ -97,6 +97,19 @@ var ERRORS = {
     message:
       " The specified device was not found in the list of available devices.",
   },
+  // Client side only, these never come from the server
+  REQUEST_TIMEOUT: {
+    code: -32001,
+    message: "Request timed out. No response was received from the server.",
+  },
+  DISCONNECTED: {
+    code: -32002,
+    message: "Connection closed before a response was received.",
+  },
+  INVALID_RESPONSE: {
+    code: -32003,
+    message: "Invalid response. The result didn't look like we expected.",
+  },
 }
 
 function ServerError(code, message, data) {
@@ -110,6 +123,17 @@ function ServerError(code, message, data) {
 
 ServerError.prototype = new Error()
 
+// Rejection reason for calls that never got a usable response (see ERRORS
+// REQUEST_TIMEOUT, DISCONNECTED and INVALID_RESPONSE)
+export function RequestError(jsonrpcError, method) {
+  this.name = "RequestError"
+  this.message = jsonrpcError.message + " (" + method + ")"
+  this.code = jsonrpcError.code
+  this.method = method
+}
+
+RequestError.prototype = new Error()
+
 export const simple_jsonrpc = function () {
   var self = this,
     waitingframe = {},
@@ -204,7 +228,9 @@ export const simple_jsonrpc = function () {
 
   function rejectRequest(error) {
     if (waitingframe.hasOwnProperty(error.id)) {
+      clearTimeout(waitingframe[error.id].timer)
       waitingframe[error.id].reject(error.error)
+      delete waitingframe[error.id]
     } else {
       console.log("Unknown request", error)
     }
@@ -212,6 +238,7 @@ export const simple_jsonrpc = function () {
 
   function resolveRequest(result) {
     if (waitingframe.hasOwnProperty(result.id)) {
+      clearTimeout(waitingframe[result.id].timer)
       waitingframe[result.id].resolve(result.result)
       delete waitingframe[result.id]
     } else {
@@ -346,8 +373,20 @@ export const simple_jsonrpc = function () {
     return message
   }
 
-  function call(method, params) {
+  function failRequest(key, jsonrpcError) {
+    var frame = waitingframe[key]
+    var error = new RequestError(jsonrpcError, frame.method)
+
+    clearTimeout(frame.timer)
+    delete waitingframe[key]
+
+    self.onRequestError(error)
+    frame.reject(error)
+  }
+
+  function call(method, params, timeout) {
     id += 1
+    var key = id.toString()
     var message = {
       jsonrpc: "2.0",
       method: method,
@@ -358,11 +397,22 @@ export const simple_jsonrpc = function () {
       message.params = params
     }
 
+    if (isUndefined(timeout)) {
+      timeout = self.timeout
+    }
+
     return {
       promise: new _Promise(function (resolve, reject) {
-        waitingframe[id.toString()] = {
+        waitingframe[key] = {
+          method: method,
           resolve: resolve,
           reject: reject,
+          timer:
+            timeout > 0
+              ? setTimeout(function () {
+                  failRequest(key, ERRORS.REQUEST_TIMEOUT)
+                }, timeout)
+              : null,
         }
       }),
       message: message,
@@ -374,6 +424,13 @@ export const simple_jsonrpc = function () {
     console.log(arguments)
   }
 
+  // Called with a RequestError whenever a call times out or is rejected by
+  // rejectAll(), in addition to rejecting the call's promise
+  self.onRequestError = function (error) {}
+
+  // Default time in ms to wait for a response, 0 waits forever
+  self.timeout = 5000
+
   self.dispatch = function (functionName, paramsNameFn, fn) {
     //console.log("%cTest", "color:blue");
     //console.log("%c%s",
@@ -416,12 +473,20 @@ export const simple_jsonrpc = function () {
     delete dispatcher[functionName]
   }
 
-  self.call = function (method, params) {
-    var _call = call(method, params)
+  self.call = function (method, params, timeout) {
+    var _call = call(method, params, timeout)
     self.toStream(JSON.stringify(_call.message))
     return _call.promise
   }
 
+  // Reject every call still waiting for a response, i.e. because the
+  // transport went away and no response is ever going to come
+  self.rejectAll = function (jsonrpcError) {
+    forEach(Object.keys(waitingframe), function (key) {
+      failRequest(key, jsonrpcError || ERRORS.DISCONNECTED)
+    })
+  }
+
   self.notification = function (method, params) {
     self.toStream(JSON.stringify(notification(method, params)))
   }
@@ -0,0 +1,204 @@
+/** state
+ * Everything we know about Wave Link, in one place and one shape.
+ * WaveLinkClient owns it and keeps it up to date, anyone else listens to
+ * its change events instead of keeping copies that go stale.
+ *
+ * Every field that changes gets its own event:
+ *   channelAdded / channelRemoved  (channel)
+ *   channelChanged                 { mixerId, field, value, previous }
+ *   outputChanged / micChanged     { field, value, previous }
+ *   changed                        { field, value, previous }, for the
+ *                                  switch state, monitor mix etc.
+ */
+import ELGEvents from "./ELGEvents"
+
+export interface Filter {
+  active: boolean
+  filterID: string
+  name: string
+  pluginID?: string
+}
+
+export interface Channel {
+  mixerId: string
+  name: string
+  channelPos: number
+  inputType: number
+  localVolIn: number
+  streamVolIn: number
+  isLocalMuteIn: boolean
+  isStreamMuteIn: boolean
+  isLinked: boolean
+  deltaLinked: number
+  isAvailable: boolean
+  isNotBlockedLocal: boolean
+  isNotBlockedStream: boolean
+  bgColor: string
+  icon: string
+  iconData: string
+  filters: Filter[]
+  localMixFilterBypass: boolean
+  streamMixFilterBypass: boolean
+}
+
+export interface Output {
+  localVolOut: number
+  streamVolOut: number
+  isLocalMuteOut: boolean
+  isStreamMuteOut: boolean
+  bgColor: string
+  isNotBlockedLocal: boolean
+  isNotBlockedStream: boolean
+}
+
+export interface MicSettings {
+  microphoneGain: number
+  microphoneOutputVolume: number
+  microphoneBalance: number
+  isMicrophoneLowcutOn: boolean
+  isMicrophoneClipguardOn: boolean
+}
+
+export interface MonitorOutput {
+  value: string
+  name: string
+}
+
+export interface FieldChange {
+  field: string
+  value: unknown
+  previous: unknown
+}
+
+export interface ChannelChange extends FieldChange {
+  mixerId: string
+}
+
+type Listener = (data: any) => void
+
+// NB: Filters are arrays of objects, and Wave Link sends us a fresh copy
+// every time
+function isEqual(a: unknown, b: unknown) {
+  if (a === b) return true
+  if (typeof a !== "object" || typeof b !== "object") return false
+
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+// Wraps target so that setting any field (that actually changes) calls
+// changed(), which means plain `channel.localVolIn = 20` is observable
+function observable<T extends object>(
+  target: T,
+  changed: (change: FieldChange) => void
+): T {
+  return new Proxy(target, {
+    set(obj: any, field: string, value: unknown) {
+      const previous = obj[field]
+      obj[field] = value
+
+      if (!isEqual(previous, value)) changed({ field, value, previous })
+      return true
+    },
+  })
+}
+
+export default class WaveLinkState {
+  private event = ELGEvents.eventEmitter()
+  private _channels: Channel[] = []
+  private _output: Output
+  private _micSettings: MicSettings | undefined
+  private values: Record<string, unknown> = {}
+
+  constructor() {
+    this._output = observable({} as Output, (x) =>
+      this.emit("outputChanged", x)
+    )
+  }
+
+  // Returns a function that unsubscribes
+  on(name: string, fn: Listener): () => void {
+    return this.event.on(name, fn)
+  }
+
+  get channels() {
+    return this._channels
+  }
+
+  // Channels that are already there are updated in place (so whoever holds
+  // on to one keeps seeing the latest), the rest are added / removed
+  set channels(channels: Channel[]) {
+    const previous = this._channels
+    const added: Channel[] = []
+
+    this._channels = channels.map((channel) => {
+      const existing = previous.find((x) => x.mixerId === channel.mixerId)
+      if (existing) return Object.assign(existing, channel)
+
+      const ret = this.observeChannel({ ...channel })
+      added.push(ret)
+      return ret
+    })
+
+    previous.forEach((channel) => {
+      if (this._channels.includes(channel)) return
+      this.emit("channelRemoved", channel)
+    })
+
+    added.forEach((channel) => this.emit("channelAdded", channel))
+  }
+
+  getChannel(mixerId: string) {
+    return this._channels.find((x) => x.mixerId === mixerId)
+  }
+
+  get output() {
+    return this._output
+  }
+
+  set output(output: Output) {
+    Object.assign(this._output, output)
+  }
+
+  get micSettings() {
+    return this._micSettings
+  }
+
+  // NB: undefined means there's no microphone we can control
+  set micSettings(micSettings: MicSettings | undefined) {
+    if (!micSettings) {
+      this._micSettings = undefined
+      return
+    }
+
+    if (!this._micSettings) {
+      this._micSettings = observable({} as MicSettings, (x) =>
+        this.emit("micChanged", x)
+      )
+    }
+    Object.assign(this._micSettings, micSettings)
+  }
+
+  // Everything else, i.e. switchState or selectedMonitorMix
+  get(field: string) {
+    return this.values[field]
+  }
+
+  set(field: string, value: unknown) {
+    const previous = this.values[field]
+    this.values[field] = value
+
+    if (!isEqual(previous, value))
+      this.emit("changed", { field, value, previous })
+  }
+
+  private observeChannel(channel: Channel) {
+    const ret: Channel = observable(channel, (change) =>
+      this.emit("channelChanged", { mixerId: ret.mixerId, ...change })
+    )
+    return ret
+  }
+
+  private emit(name: string, data: unknown) {
+    this.event.emit(name, data)
+  }
+}
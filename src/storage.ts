@@ -0,0 +1,40 @@
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+// Anything we keep around lives outside of the plugin directory so that it
+// survives reinstalling / updating the plugin
+export function dataFile(name: string) {
+  return path.join(
+    process.env.APPDATA || os.homedir(),
+    "midi-mixer-wave-xlr",
+    name
+  )
+}
+
+export function loadJson<T>(file: string, fallback: T): T {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"))
+  } catch (e) {
+    console.log(`Couldn't load ${file}`, e)
+    return fallback
+  }
+}
+
+export function saveJson(file: string, data: unknown) {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, JSON.stringify(data, null, 2))
+}
+
+// The port we last found Wave Link on, so we can try it first next time
+export function loadLastPort(): number | undefined {
+  return loadJson<{ port?: number }>(dataFile("connection.json"), {}).port
+}
+
+export function saveLastPort(port: number) {
+  try {
+    saveJson(dataFile("connection.json"), { port })
+  } catch (e) {
+    console.log("Couldn't save the last port", e)
+  }
+}
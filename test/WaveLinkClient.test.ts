@@ -0,0 +1,935 @@
+import { afterEach, beforeEach, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import net from "net"
+import WaveLinkClient from "../src/WaveLinkClient"
+import { waveLink1 } from "../src/protocols"
+import MockWaveLinkServer, { mockChannel } from "../mock/MockWaveLinkServer"
+import {
+  connectClient,
+  createClient,
+  delay,
+  nextEvent,
+  startServer,
+  testPort,
+  waitFor,
+} from "./helpers"
+
+const music = "pcm_out_01_v_02_sd3"
+const system = "pcm_out_01_v_00_sd2"
+
+describe("WaveLinkClient", () => {
+  let server: MockWaveLinkServer
+  let client: any
+
+  beforeEach(async () => {
+    server = await startServer()
+  })
+
+  afterEach(async () => {
+    client?.disconnect()
+    client = null
+    await server.close()
+  })
+
+  describe("connecting", () => {
+    it("scans the port range until it finds Wave Link", async () => {
+      client = new WaveLinkClient("windows")
+      client.startPort = client.port = testPort - 3
+      client.endPort = testPort + 1
+
+      for (let i = 0; i < 5; i++) {
+        try {
+          await client.tryToConnect()
+          break
+        } catch (e) {
+          client.reconnect()
+        }
+      }
+
+      assert.equal(client.port, testPort)
+      assert.equal(client.isConnected, true)
+    })
+
+    it("wraps around to the start of the port range", () => {
+      client = new WaveLinkClient("windows")
+      client.port = client.endPort
+
+      client.reconnect()
+      assert.equal(client.port, client.startPort)
+
+      client.reconnect()
+      assert.equal(client.port, client.startPort + 1)
+    })
+
+    it("rejects servers that aren't Wave Link", async () => {
+      server.state.applicationInfo = { appName: "Not Wave Link" }
+
+      client = new WaveLinkClient("windows")
+      client.startPort = client.endPort = client.port = testPort
+
+      const wrongServer = nextEvent(client, "wrongServer")
+      await assert.rejects(client.tryToConnect(), /Wrong WebSocketServer/)
+      assert.equal(client.isConnected, false)
+      assert.deepEqual(await wrongServer, { host: "127.0.0.1", port: testPort })
+    })
+
+    it("probes the whole port range at once", async () => {
+      const impostor = await startServer({
+        port: testPort - 2,
+        state: { applicationInfo: { appName: "Not Wave Link" } },
+      })
+
+      try {
+        client = new WaveLinkClient("windows", {
+          startPort: testPort - 3,
+          endPort: testPort + 1,
+        })
+
+        const { port, websocket } = await client.findWaveLink()
+        assert.equal(port, testPort)
+        // Every other probe hangs up once it knows who it's talking to
+        await waitFor(
+          () => server.connectionCount === 1 && impostor.connectionCount === 0
+        )
+        websocket.close()
+      } finally {
+        await impostor.close()
+      }
+    })
+
+    it("connects on the probe's connection", async () => {
+      client = new WaveLinkClient("windows", {
+        startPort: testPort - 3,
+        endPort: testPort + 1,
+        port: testPort - 3,
+      })
+
+      const probed: unknown[] = []
+      const probePort = client.probePort.bind(client)
+      client.probePort = (port: number) =>
+        probePort(port).then((websocket: unknown) => {
+          probed.push(websocket)
+          return websocket
+        })
+
+      await client.connect()
+      assert.equal(client.port, testPort)
+      assert.equal(probed[0], client.websocket)
+    })
+
+    it("gives up on a port that never answers", async () => {
+      // Accepts the TCP connection, but never says anything back
+      const sockets: net.Socket[] = []
+      const silent = net.createServer((socket) => sockets.push(socket))
+      await new Promise<void>((res) => silent.listen(testPort + 1, res))
+
+      try {
+        client = new WaveLinkClient("windows", {
+          startPort: testPort + 1,
+          endPort: testPort + 1,
+        })
+        client.probeTimeout = 100
+
+        await assert.rejects(client.tryToConnect(), /No answer/)
+      } finally {
+        sockets.forEach((x) => x.destroy())
+        await new Promise((res) => silent.close(res))
+      }
+    })
+
+    it("rejects when Wave Link is nowhere in the range", async () => {
+      client = new WaveLinkClient("windows", {
+        startPort: testPort + 1,
+        endPort: testPort + 3,
+      })
+
+      await assert.rejects(client.findWaveLink(), /Wave Link not found/)
+    })
+
+    it("tries the remembered port before scanning", async () => {
+      client = new WaveLinkClient("windows", {
+        startPort: testPort - 3,
+        endPort: testPort + 1,
+        port: testPort,
+      })
+
+      await client.connect()
+
+      assert.equal(client.isConnected, true)
+      assert.equal(
+        server.calls.filter((x) => x.method === "getApplicationInfo").length,
+        1
+      )
+    })
+
+    it("scans when the remembered port is gone", async () => {
+      client = new WaveLinkClient("windows", {
+        startPort: testPort - 3,
+        endPort: testPort + 1,
+        port: testPort - 1,
+      })
+
+      await client.connect()
+
+      assert.equal(client.port, testPort)
+      assert.equal(client.isConnected, true)
+    })
+
+    it("reconnects and resyncs when the connection drops", async () => {
+      client = await connectClient(server)
+
+      server.state.channels[2].localVolumeIn = 12
+      const reconnected = nextEvent(client, "reconnected")
+      server.dropConnections()
+      await reconnected
+
+      assert.equal(client.isConnected, true)
+      assert.equal(client.getMixer(music).localVolIn, 12)
+    })
+
+    it("doesn't announce a reconnect that went away again", async () => {
+      client = await connectClient(server)
+      server.handle("getMicrophoneSettings", () => new Promise(() => {}))
+
+      let reconnected = false
+      client.on("reconnected", () => (reconnected = true))
+      server.dropConnections()
+      await waitFor(() =>
+        server.calls.some((x) => x.method === "getMicrophoneSettings")
+      )
+      client.disconnect()
+
+      await delay(100)
+      assert.equal(reconnected, false)
+    })
+
+    it("hangs up a reconnect that finishes after disconnect()", async () => {
+      client = await connectClient(server)
+      // NB: Nothing on the last port, so it has to go looking
+      client.port = client.startPort = testPort - 1
+      client.endPort = testPort
+      server.handle("getApplicationInfo", () =>
+        delay(50).then(() => server.state.applicationInfo)
+      )
+
+      let reconnected = false
+      client.on("reconnected", () => (reconnected = true))
+      server.dropConnections()
+      await waitFor(
+        () =>
+          server.calls.filter((x) => x.method === "getApplicationInfo")
+            .length == 2
+      )
+      client.disconnect()
+
+      await delay(300)
+      assert.equal(reconnected, false)
+      assert.equal(client.isConnected, false)
+      assert.equal(server.connectionCount, 0)
+    })
+  })
+
+  describe("heartbeat", () => {
+    it("emits connected and disconnected", async () => {
+      client = createClient(server)
+      client.autoReconnect = false
+
+      const connected = nextEvent(client, "connected")
+      await client.tryToConnect()
+      await connected
+
+      const disconnected = nextEvent(client, "disconnected")
+      server.dropConnections()
+      await disconnected
+      assert.equal(client.isConnected, false)
+    })
+
+    it("keeps a healthy connection", async () => {
+      client = createClient(server)
+      client.heartbeatInterval = 20
+      await client.tryToConnect()
+
+      await delay(150)
+      assert.equal(client.isConnected, true)
+      assert.ok(server.calls.some((x) => x.method === "getSwitchState"))
+    })
+
+    it("drops a connection that stops answering", async () => {
+      client = createClient(server)
+      client.heartbeatInterval = 20
+      client.autoReconnect = false
+      await client.tryToConnect()
+
+      // NB: The socket stays open, Wave Link just never answers again
+      server.handle("getSwitchState", () => new Promise(() => {}))
+      await nextEvent(client, "disconnected")
+
+      assert.equal(client.isConnected, false)
+      assert.equal(client.missedHeartbeats, client.maxMissedHeartbeats)
+    })
+  })
+
+  describe("capabilities", () => {
+    it("reads the version and interface revision", async () => {
+      client = await connectClient(server)
+
+      assert.deepEqual(client.appVersion, {
+        major: 1,
+        minor: 6,
+        patch: 1,
+        build: 3254,
+      })
+      assert.equal(client.interfaceRevision, 3)
+      assert.equal(client.hasCapability("micSettings"), true)
+      assert.equal(client.hasCapability("filterBypass"), true)
+    })
+
+    it("turns off what an older interface revision doesn't have", async () => {
+      server.state.applicationInfo.interfaceRevision = 2
+      client = await connectClient(server)
+
+      assert.equal(client.hasCapability("micSettings"), false)
+      assert.equal(client.hasCapability("filterBypass"), false)
+      assert.equal(client.hasCapability("monitorMixOutputList"), true)
+
+      await client.getMixers()
+      assert.equal(client.hasCapability("filterBypass"), false)
+
+      await assert.rejects(client.getMicrophoneSettings(), /doesn't support/)
+      await assert.rejects(client.setFilterBypass(music, "all"), /support/)
+      assert.equal(
+        server.calls.some((x) => x.method == "getMicrophoneSettings"),
+        false
+      )
+    })
+
+    it("assumes everything is there without an interface revision", async () => {
+      delete server.state.applicationInfo.interfaceRevision
+      client = await connectClient(server)
+
+      assert.equal(client.interfaceRevision, null)
+      assert.equal(client.hasCapability("micSettings"), true)
+      assert.equal(client.hasCapability("filterBypass"), true)
+    })
+
+    it("can't bypass filters if the channels don't say", async () => {
+      server.handle("getAllChannelInfo", () =>
+        server.state.channels.map(
+          ({ localMixFilterBypass, streamMixFilterBypass, ...x }) => x
+        )
+      )
+      client = await connectClient(server)
+      await client.getMixers()
+
+      assert.equal(client.hasCapability("filterBypass"), false)
+      await assert.rejects(client.setFilterBypass(music, "all"), /support/)
+    })
+
+    it("stops calling methods the server turns out not to have", async () => {
+      server.unhandle("getMicrophoneSettings")
+      client = await connectClient(server)
+
+      const changed = nextEvent(client, "capabilitiesChanged")
+      await assert.rejects(client.getMicrophoneSettings(), { code: -32601 })
+      assert.equal(await changed, "micSettings")
+
+      await assert.rejects(client.getMicrophoneSettings(), /doesn't support/)
+    })
+
+    it("starts over on reconnect", async () => {
+      server.unhandle("getMonitorMixOutputList")
+      client = await connectClient(server)
+      await assert.rejects(client.getMonitorMixOutputList(), { code: -32601 })
+
+      // Wave Link got updated in the meantime
+      server.handle("getMonitorMixOutputList", () => ({
+        monitorMix: "",
+        monitorMixList: [],
+      }))
+      const reconnected = nextEvent(client, "reconnected")
+      server.dropConnections()
+      await reconnected
+
+      assert.equal(client.hasCapability("monitorMixOutputList"), true)
+    })
+  })
+
+  describe("protocols", () => {
+    // Pretend a newer Wave Link renamed the monitor switch methods
+    const renamedSwitch = {
+      ...waveLink1,
+      name: "Renamed switch",
+      supports: (info: any) => info.interfaceRevision >= 10,
+      request: (method: string, params: any) =>
+        method === "getSwitchState"
+          ? { method: "getMonitorSwitch", params }
+          : { method, params },
+      response: (method: string, result: any) =>
+        method === "getSwitchState" ? { switchState: result.state } : result,
+      notifications: [...waveLink1.notifications, "monitorSwitched"],
+      notification: (method: string, params: any) =>
+        method === "monitorSwitched"
+          ? {
+              method: "monitorSwitchOutputChanged",
+              params: { switchState: params.state },
+            }
+          : { method, params },
+    }
+
+    beforeEach(() => {
+      server.handle("getMonitorSwitch", () => ({ state: "StreamMix" }))
+    })
+
+    it("speaks whichever protocol the server supports", async () => {
+      server.state.applicationInfo.interfaceRevision = 10
+      client = createClient(server)
+      client.protocols = [renamedSwitch, waveLink1]
+      await client.tryToConnect()
+
+      assert.equal(client.protocol, renamedSwitch)
+      assert.equal(await client.getSwitchState(), "StreamMix")
+
+      const changed = nextEvent(client, "switchStateChanged")
+      server.notify("monitorSwitched", { state: "LocalMix" })
+      assert.equal(await changed, "LocalMix")
+    })
+
+    it("falls back to older protocols", async () => {
+      client = createClient(server)
+      client.protocols = [renamedSwitch, waveLink1]
+      await client.tryToConnect()
+
+      assert.equal(client.protocol, waveLink1)
+      assert.equal(await client.getSwitchState(), "LocalMix")
+    })
+
+    it("rejects servers no protocol supports", async () => {
+      client = createClient(server)
+      client.protocols = [renamedSwitch]
+
+      await assert.rejects(client.tryToConnect(), /Unsupported/)
+    })
+
+    it("rejects calls until it knows the protocol", async () => {
+      client = createClient(server)
+
+      await assert.rejects(client.call("getSwitchState"), /Not connected/)
+      await assert.rejects(client.batch([]), /Not connected/)
+    })
+
+    it("keeps notifications that come in while picking one", async () => {
+      server.handle("getApplicationInfo", () => {
+        server.notify("monitorSwitchOutputChanged", {
+          switchState: "StreamMix",
+        })
+        return server.state.applicationInfo
+      })
+      client = createClient(server)
+
+      const changed = nextEvent(client, "switchStateChanged")
+      await client.tryToConnect()
+      assert.equal(await changed, "StreamMix")
+    })
+  })
+
+  describe("setMute", () => {
+    beforeEach(async () => {
+      client = await connectClient(server)
+    })
+
+    it("toggles only the local mix", async () => {
+      client.setMute("input", music, "local")
+      await waitFor(() => server.findChannel(music)!.isLocalInMuted)
+
+      assert.equal(server.findChannel(music)!.isStreamInMuted, false)
+    })
+
+    it("toggles only the stream mix", async () => {
+      client.setMute("input", music, "stream")
+      await waitFor(() => server.findChannel(music)!.isStreamInMuted)
+
+      assert.equal(server.findChannel(music)!.isLocalInMuted, false)
+    })
+
+    it("toggles both mixes together when they agree", async () => {
+      client.setMute("input", music, "all")
+      await waitFor(() => server.findChannel(music)!.isLocalInMuted)
+      assert.equal(server.findChannel(music)!.isStreamInMuted, true)
+
+      client.setMute("input", music, "all")
+      await waitFor(() => !server.findChannel(music)!.isLocalInMuted)
+      assert.equal(server.findChannel(music)!.isStreamInMuted, false)
+    })
+
+    it("mutes both mixes when they disagree", async () => {
+      client.getMixer(music).isLocalMuteIn = true
+
+      client.setMute("input", music, "all")
+      await waitFor(() => server.findChannel(music)!.isStreamInMuted)
+      assert.equal(server.findChannel(music)!.isLocalInMuted, true)
+    })
+
+    it("toggles the output mixes", async () => {
+      client.setMute("output", null, "stream")
+      await waitFor(() => server.state.output.isStreamOutMuted)
+
+      assert.equal(server.state.output.isLocalOutMuted, false)
+    })
+  })
+
+  describe("setVolume", () => {
+    beforeEach(async () => {
+      client = await connectClient(server)
+    })
+
+    it("sets the volume straight away without a fade", async () => {
+      await client.setVolume("input", music, "local", 42)
+
+      assert.equal(server.findChannel(music)!.localVolumeIn, 42)
+      assert.equal(server.findChannel(music)!.streamVolumeIn, 100)
+    })
+
+    it("fades towards the target volume", async () => {
+      client.setVolume("input", music, "stream", 40, 300)
+      await waitFor(() => server.findChannel(music)!.streamVolumeIn === 40)
+
+      const volumes = server.calls
+        .filter((x) => x.method === "setInputMixer")
+        .map((x) => x.params.streamVolumeIn)
+
+      assert.ok(volumes.length > 1, `Expected several steps, got ${volumes}`)
+      assert.deepEqual(
+        volumes,
+        [...volumes].sort((a, b) => b - a),
+        "Volume should only ever go down"
+      )
+      assert.equal(volumes[volumes.length - 1], 40)
+    })
+
+    it("only sends the newest value while a write is in flight", async () => {
+      server.handle("setInputMixer", async (params) => {
+        await delay(50)
+        return Object.assign(server.findChannel(params.mixId)!, {
+          localVolumeIn: params.localVolumeIn,
+        })
+      })
+
+      for (let i = 1; i <= 20; i++) {
+        client.setVolume("input", music, "local", i)
+      }
+      await waitFor(() => server.findChannel(music)!.localVolumeIn === 20)
+      await delay(100)
+
+      const calls = server.calls.filter((x) => x.method === "setInputMixer")
+      assert.deepEqual(
+        calls.map((x) => x.params.localVolumeIn),
+        [1, 20]
+      )
+      assert.equal(client.getMixer(music).localVolIn, 20)
+    })
+
+    it("has one write per channel in flight, whatever the slider", async () => {
+      let inFlight = 0
+      let mostInFlight = 0
+      server.handle("setInputMixer", async (params) => {
+        mostInFlight = Math.max(mostInFlight, ++inFlight)
+        await delay(20)
+        inFlight--
+
+        const { mixId, slider, ...changes } = params
+        return Object.assign(server.findChannel(mixId)!, changes)
+      })
+
+      client.setVolume("input", music, "local", 10)
+      client.setVolume("input", music, "stream", 20)
+      await client.setVolume("input", music, "local", 30)
+
+      assert.equal(mostInFlight, 1)
+      assert.deepEqual(
+        server.calls
+          .filter((x) => x.method === "setInputMixer")
+          .map((x) => x.params.slider),
+        ["local", "all"]
+      )
+      assert.equal(client.getMixer(music).localVolIn, 30)
+      assert.equal(client.getMixer(music).streamVolIn, 20)
+    })
+
+    it("sets output volumes", async () => {
+      await client.setOutputVolume("local", 25)
+
+      assert.equal(server.state.output.localVolumeOut, 25)
+      assert.equal(server.state.output.streamVolumeOut, 100)
+    })
+  })
+
+  describe("adjustVolume", () => {
+    beforeEach(async () => {
+      client = await connectClient(server)
+    })
+
+    it("steps the volume", async () => {
+      await client.adjustVolume("input", music, "local", -10)
+      assert.equal(server.findChannel(music)!.localVolumeIn, 90)
+
+      await client.adjustVolume("output", null, "stream", -25)
+      assert.equal(server.state.output.streamVolumeOut, 75)
+    })
+
+    it("doesn't go past 0 - 100", async () => {
+      await client.adjustVolume("input", music, "stream", 10)
+      assert.equal(server.findChannel(music)!.streamVolumeIn, 100)
+
+      await client.adjustVolume("output", null, "local", -150)
+      assert.equal(server.state.output.localVolumeOut, 0)
+    })
+  })
+
+  describe("volume limits", () => {
+    beforeEach(async () => {
+      client = await connectClient(server)
+      client.volumeLimits = (
+        mixerTyp: string,
+        mixerId: string,
+        slider: string
+      ) =>
+        mixerTyp === "output" || (mixerId === music && slider === "stream")
+          ? { min: 20, max: 70 }
+          : undefined
+    })
+
+    it("keeps channel volumes within the limits", async () => {
+      await client.setVolume("input", music, "stream", 90)
+      assert.equal(server.findChannel(music)!.streamVolumeIn, 70)
+
+      await client.setVolume("input", music, "stream", 5)
+      assert.equal(server.findChannel(music)!.streamVolumeIn, 20)
+
+      await client.setVolume("input", music, "local", 90)
+      assert.equal(server.findChannel(music)!.localVolumeIn, 90)
+    })
+
+    it("keeps output volumes within the limits", async () => {
+      await client.setOutputVolume("local", 100)
+
+      assert.equal(server.state.output.localVolumeOut, 70)
+    })
+
+    it("keeps fades within the limits", async () => {
+      server.findChannel(music)!.streamVolumeIn = 30
+      client.getMixer(music).streamVolIn = 30
+
+      client.setVolume("input", music, "stream", 100, 200)
+      await waitFor(() => server.findChannel(music)!.streamVolumeIn === 70)
+      await delay(300)
+
+      const volumes = server.calls
+        .filter((x) => x.method === "setInputMixer")
+        .map((x) => x.params.streamVolumeIn)
+      assert.ok(
+        volumes.every((x) => x <= 70),
+        `Went past 70: ${volumes}`
+      )
+    })
+
+    it("keeps adjustVolume within the limits", async () => {
+      client.adjustVolume("input", music, "stream", -90)
+
+      await waitFor(() => server.findChannel(music)!.streamVolumeIn === 20)
+    })
+
+    it("keeps volumes Wave Link set within the limits on other writes", async () => {
+      server.setChannel(music, { streamVolumeIn: 90 })
+      server.setOutput({ localVolumeOut: 5 })
+      await waitFor(() => client.getMixer(music).streamVolIn === 90)
+      await waitFor(() => client.output.localVolOut === 5)
+
+      client.setMute("input", music, "local")
+      await waitFor(() => server.findChannel(music)!.isLocalInMuted)
+      assert.equal(server.findChannel(music)!.streamVolumeIn, 70)
+
+      client.setMute("output", null, "stream")
+      await waitFor(() => server.state.output.isStreamOutMuted)
+      assert.equal(server.state.output.localVolumeOut, 20)
+    })
+
+    it("keeps scenes within the limits", async () => {
+      const scene = client.getScene()
+      scene.channels[music].streamVolumeIn = 100
+      scene.output.streamVolumeOut = 0
+
+      await client.applyScene(scene)
+      assert.equal(server.findChannel(music)!.streamVolumeIn, 70)
+      assert.equal(server.state.output.streamVolumeOut, 20)
+    })
+  })
+
+  describe("scenes", () => {
+    beforeEach(async () => {
+      client = await connectClient(server)
+    })
+
+    it("goes out after fader writes that are still queued", async () => {
+      const scene = client.getScene()
+      scene.channels[music].localVolumeIn = 80
+
+      client.setVolume("input", music, "local", 10)
+      const queued = client.setVolume("input", music, "local", 20)
+      await client.applyScene(scene)
+      await queued
+
+      const writes = server.calls.filter(
+        (x) => x.method === "setInputMixer" && x.params.mixId === music
+      )
+      assert.equal(writes[writes.length - 1].params.slider, "all")
+      assert.equal(server.findChannel(music)!.localVolumeIn, 80)
+    })
+
+    it("recalls one scene after the other", async () => {
+      const first = client.getScene()
+      first.channels[music].localVolumeIn = 10
+      const second = client.getScene()
+      second.channels[music].localVolumeIn = 90
+
+      const recalled = client.applyScene(first, 300)
+      await client.applyScene(second)
+      await recalled
+
+      assert.equal(server.findChannel(music)!.localVolumeIn, 90)
+    })
+  })
+
+  describe("filters", () => {
+    beforeEach(async () => {
+      client = await connectClient(server)
+    })
+
+    it("toggles a filter", async () => {
+      client.setFilter(music, "filter_1")
+      await waitFor(() => !server.findChannel(music)!.filters[0].active)
+
+      client.setFilter(music, "filter_1")
+      await waitFor(() => server.findChannel(music)!.filters[0].active)
+    })
+
+    it("sends filter changes for the whole channel", async () => {
+      await client.setFilter(music, "filter_1")
+
+      const call = server.calls.find((x) => x.method === "setInputMixer")
+      assert.equal(call!.params.slider, "all")
+    })
+
+    it("rejects filters of channels that aren't there", async () => {
+      await assert.rejects(client.setFilter("nope", "filter_1"), /not found/)
+    })
+
+    it("bypasses the filters on both mixes", async () => {
+      await client.setFilterBypass(music, "all")
+
+      assert.equal(server.findChannel(music)!.localMixFilterBypass, true)
+      assert.equal(server.findChannel(music)!.streamMixFilterBypass, true)
+    })
+  })
+
+  describe("notifications", () => {
+    beforeEach(async () => {
+      client = await connectClient(server)
+    })
+
+    it("handles inputMixerChanged", async () => {
+      const changed = nextEvent(client.state, "channelChanged")
+      server.setChannel(music, { localVolumeIn: 10, isStreamInMuted: true })
+
+      assert.equal((await changed).mixerId, music)
+      assert.equal(client.getMixer(music).localVolIn, 10)
+      assert.equal(client.getMixer(music).isStreamMuteIn, true)
+    })
+
+    it("doesn't drop changes to different channels close together", async () => {
+      const changed: string[] = []
+      client.state.on("channelChanged", ({ mixerId }: any) =>
+        changed.push(mixerId)
+      )
+
+      server.setChannel(music, { localVolumeIn: 10 })
+      server.setChannel(system, { localVolumeIn: 20 })
+      await waitFor(() => changed.includes(music) && changed.includes(system))
+    })
+
+    it("handles outputMixerChanged", async () => {
+      const changed = nextEvent(client.state, "outputChanged")
+      server.setOutput({ localVolumeOut: 30, isStreamOutMuted: true })
+      await changed
+
+      assert.equal(client.output.localVolOut, 30)
+      assert.equal(client.output.isStreamMuteOut, true)
+    })
+
+    it("handles channelsChanged", async () => {
+      const changed = nextEvent(client, "channelsChanged")
+      server.addChannel(mockChannel("pcm_out_01_v_08_sd6", "SFX"))
+      await changed
+
+      assert.equal(client.getMixer("pcm_out_01_v_08_sd6").name, "SFX")
+      assert.equal(client.getMixerList().length, 6)
+    })
+
+    it("handles monitorSwitchOutputChanged", async () => {
+      const changed = nextEvent(client, "switchStateChanged")
+      server.setSwitchState("StreamMix")
+
+      assert.equal(await changed, "StreamMix")
+      assert.equal(client.getSwitch(), "StreamMix")
+    })
+
+    it("handles microphoneSettingsChanged", async () => {
+      const changed = nextEvent(client, "micSettingsChanged")
+      server.setMicSettings({ microphoneGain: 75, isMicrophoneLowcutOn: true })
+      await changed
+
+      assert.equal(client.micSettings.microphoneGain, 75)
+      assert.equal(client.micSettings.isMicrophoneLowcutOn, true)
+    })
+
+    it("handles localMonitorOutputChanged", async () => {
+      const changed = nextEvent(client, "monitorMixChanged")
+      server.setMonitorMix("Speakers (Realtek Audio)")
+      await changed
+
+      assert.equal(client.selectedMonitorMix, "Speakers (Realtek Audio)")
+    })
+
+    it("refetches mic settings and outputs on microphoneStateChanged", async () => {
+      server.state.micSettings.microphoneGain = 10
+      server.state.monitorMixList = ["Headphones (USB)"]
+
+      const micChanged = nextEvent(client, "micSettingsChanged")
+      const listChanged = nextEvent(client, "monitorMixListChanged")
+      server.setMicrophoneConnected(true)
+      await Promise.all([micChanged, listChanged])
+
+      assert.equal(client.isMicrophoneConnected, true)
+      assert.equal(client.micSettings.microphoneGain, 10)
+      assert.deepEqual(
+        client.localOutputList.map((x: any) => x.value),
+        ["Headphones (USB)"]
+      )
+    })
+  })
+
+  describe("state", () => {
+    beforeEach(async () => {
+      client = await connectClient(server)
+    })
+
+    it("emits one channelChanged per field that changed", async () => {
+      const changes: any[] = []
+      client.state.on("channelChanged", (x: any) => changes.push(x))
+
+      server.setChannel(music, { localVolumeIn: 10, isStreamInMuted: true })
+      await waitFor(() => changes.length === 2)
+
+      assert.deepEqual(
+        changes.map(({ mixerId, field, value }) => [mixerId, field, value]),
+        [
+          [music, "localVolIn", 10],
+          [music, "isStreamMuteIn", true],
+        ]
+      )
+    })
+
+    it("keeps channels up to date in place", async () => {
+      const channel = client.getMixer(music)
+      server.setChannel(music, { mixerName: "Spotify" })
+
+      await waitFor(() => channel.name === "Spotify")
+    })
+
+    it("emits channelAdded and channelRemoved", async () => {
+      const added = nextEvent(client.state, "channelAdded")
+      server.addChannel(mockChannel("pcm_out_01_v_08_sd6", "SFX"))
+      assert.equal((await added).name, "SFX")
+
+      const removed = nextEvent(client.state, "channelRemoved")
+      server.removeChannel(music)
+      assert.equal((await removed).mixerId, music)
+    })
+  })
+
+  describe("malformed messages", () => {
+    beforeEach(async () => {
+      client = await connectClient(server)
+    })
+
+    it("ignores malformed inputMixerChanged", async () => {
+      server.notify("inputMixerChanged", {
+        ...server.findChannel(music),
+        localVolumeIn: "loud",
+      })
+
+      const changed = nextEvent(client.state, "channelChanged")
+      server.setChannel(music, { streamVolumeIn: 30 })
+      await changed
+
+      assert.equal(client.getMixer(music).localVolIn, 100)
+      assert.equal(client.getMixer(music).streamVolIn, 30)
+    })
+
+    it("ignores malformed channelsChanged", async () => {
+      server.notify("channelsChanged", { channels: [{ mixId: 42 }] })
+
+      const changed = nextEvent(client.state, "outputChanged")
+      server.setOutput({ localVolumeOut: 10 })
+      await changed
+
+      assert.equal(client.getMixerList().length, 5)
+      assert.equal(client.getMixer(music).name, "Music")
+    })
+
+    it("rejects malformed responses", async () => {
+      server.handle("getMonitoringState", () => ({ localVolumeOut: null }))
+
+      await assert.rejects(client.getMonitoringState(), { code: -32003 })
+      assert.equal(client.output.localVolOut, 100)
+    })
+
+    it("accepts responses with just the fields the client reads", async () => {
+      server.handle("setInputMixer", (params) => ({
+        localVolumeIn: params.localVolumeIn,
+        streamVolumeIn: params.streamVolumeIn,
+        isLocalInMuted: params.isLocalInMuted,
+        isStreamInMuted: params.isStreamInMuted,
+        filters: params.filters,
+      }))
+
+      await client.setVolume("input", music, "local", 42)
+      assert.equal(client.getMixer(music).localVolIn, 42)
+      assert.equal(client.getMixer(music).name, "Music")
+      assert.equal(client.getMixer(music).localMixFilterBypass, false)
+    })
+  })
+
+  describe("requests", () => {
+    beforeEach(async () => {
+      client = await connectClient(server)
+    })
+
+    it("times out requests that are never answered", async () => {
+      client.rpc.timeout = 50
+      server.handle("getSwitchState", () => new Promise(() => {}))
+
+      await assert.rejects(client.getSwitchState(), { name: "RequestError" })
+    })
+
+    it("rejects pending requests when the connection drops", async () => {
+      client.autoReconnect = false
+      server.handle("getSwitchState", () => new Promise(() => {}))
+
+      const pending = client.getSwitchState()
+      await delay(20)
+      server.dropConnections()
+
+      await assert.rejects(pending, { name: "RequestError", code: -32002 })
+    })
+  })
+})
@@ -0,0 +1,89 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import {
+  breakpoints,
+  limited,
+  linear,
+  log,
+  parseCurve,
+  parseLimits,
+} from "../src/curves"
+
+describe("curves", () => {
+  it("maps linearly", () => {
+    assert.equal(linear.toWaveLink(0.42), 42)
+    assert.equal(linear.toMM(42), 0.42)
+  })
+
+  it("gives the quiet end more of the fader with log", () => {
+    assert.equal(log.toWaveLink(0), 0)
+    assert.equal(log.toWaveLink(0.5), 24)
+    assert.equal(log.toWaveLink(1), 100)
+  })
+
+  it("goes both ways", () => {
+    const curves = [linear, log, parseCurve("0=0 50=20 100=100")!]
+    const volumes = [0, 10, 24, 50, 73, 100]
+
+    curves.forEach((curve) => {
+      volumes.forEach((volume) => {
+        assert.equal(curve.toWaveLink(curve.toMM(volume)), volume)
+      })
+    })
+  })
+
+  it("interpolates between breakpoints", () => {
+    const curve = breakpoints([
+      [0, 0],
+      [50, 20],
+      [100, 100],
+    ])
+
+    assert.equal(curve.toWaveLink(0.25), 10)
+    assert.equal(curve.toWaveLink(0.75), 60)
+    assert.equal(curve.toMM(60), 0.75)
+  })
+
+  it("stays flat past the first and last breakpoint", () => {
+    const curve = breakpoints([
+      [20, 10],
+      [80, 90],
+    ])
+
+    assert.equal(curve.toWaveLink(0), 10)
+    assert.equal(curve.toWaveLink(1), 90)
+    assert.equal(curve.toMM(0), 0.2)
+  })
+
+  it("parses curves", () => {
+    assert.equal(parseCurve(" LOG "), log)
+    assert.equal(parseCurve("linear"), linear)
+    assert.equal(parseCurve("0=0 50=20 100=100")?.toWaveLink(0.75), 60)
+  })
+
+  it("rejects curves that make no sense", () => {
+    assert.equal(parseCurve("loud"), undefined)
+    assert.equal(parseCurve("0=0"), undefined)
+    assert.equal(parseCurve("0=0 50= 100=100"), undefined)
+    assert.equal(parseCurve("0=0 50=60 100=40"), undefined)
+    assert.equal(parseCurve("0=0 100=200"), undefined)
+  })
+
+  it("squeezes curves into limits", () => {
+    const curve = limited(linear, { min: 20, max: 70 })
+
+    assert.equal(curve.toWaveLink(0), 20)
+    assert.equal(curve.toWaveLink(0.5), 45)
+    assert.equal(curve.toWaveLink(1), 70)
+    assert.equal(curve.toMM(45), 0.5)
+    assert.equal(curve.toMM(90), 1)
+    assert.equal(curve.toMM(0), 0)
+  })
+
+  it("parses limits", () => {
+    assert.deepEqual(parseLimits(" 20 - 70 "), { min: 20, max: 70 })
+    assert.equal(parseLimits("70-20"), undefined)
+    assert.equal(parseLimits("0-120"), undefined)
+    assert.equal(parseLimits("70"), undefined)
+  })
+})
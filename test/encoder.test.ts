@@ -0,0 +1,38 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import Encoder from "../src/encoder"
+
+describe("Encoder", () => {
+  it("steps by the step size when turned slowly", () => {
+    const encoder = new Encoder(2, 0.5)
+
+    assert.equal(encoder.tick(1000), 2)
+    assert.equal(encoder.tick(2000), 2)
+  })
+
+  it("speeds up when turned quickly", () => {
+    const encoder = new Encoder(2, 0.5)
+
+    assert.deepEqual(
+      [1000, 1050, 1100, 1150].map((x) => encoder.tick(x)),
+      [2, 3, 4, 5]
+    )
+    assert.equal(encoder.tick(2000), 2)
+  })
+
+  it("never steps too far at once", () => {
+    const encoder = new Encoder(5, 1)
+
+    const steps = [0, 10, 20, 30, 40, 50].map((x) => encoder.tick(1000 + x))
+    assert.equal(Math.max(...steps), 20)
+  })
+
+  it("doesn't speed up without acceleration", () => {
+    const encoder = new Encoder(3, 0)
+
+    assert.deepEqual(
+      [1000, 1010, 1020].map((x) => encoder.tick(x)),
+      [3, 3, 3]
+    )
+  })
+})
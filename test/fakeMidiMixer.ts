@@ -0,0 +1,124 @@
+/** fakeMidiMixer
+ * Stands in for MIDI Mixer's side of the plugin API: `midi-mixer-plugin`'s
+ * Assignment / ButtonType and the global $MM. Everything the plugin creates
+ * is recorded in fakeRuntime, and tests play the user with the simulate*
+ * methods.
+ *
+ * NB: Import this before anything that imports midi-mixer-plugin.
+ */
+import { EventEmitter } from "events"
+import Module from "module"
+
+interface AssignmentData {
+  name: string
+  muted?: boolean
+  volume?: number
+  assigned?: boolean
+  running?: boolean
+}
+
+interface ButtonTypeData {
+  name: string
+  active?: boolean
+}
+
+export class FakeAssignment extends EventEmitter {
+  id: string
+  name: string
+  muted: boolean
+  volume: number
+  assigned: boolean
+  running: boolean
+  removed = false
+
+  constructor(id: string, data: AssignmentData) {
+    super()
+    this.id = id
+    this.name = data.name
+    this.muted = data.muted ?? false
+    this.volume = data.volume ?? 0
+    this.assigned = data.assigned ?? false
+    this.running = data.running ?? false
+
+    fakeRuntime.assignments.set(id, this)
+  }
+
+  remove() {
+    this.removed = true
+    if (fakeRuntime.assignments.get(this.id) === this) {
+      fakeRuntime.assignments.delete(this.id)
+    }
+  }
+
+  simulateVolumeChanged(level: number) {
+    this.emit("volumeChanged", level)
+  }
+
+  simulateMutePressed() {
+    this.emit("mutePressed")
+  }
+}
+
+export class FakeButtonType extends EventEmitter {
+  id: string
+  name: string
+  active: boolean
+  removed = false
+
+  constructor(id: string, data: ButtonTypeData) {
+    super()
+    this.id = id
+    this.name = data.name
+    this.active = data.active ?? false
+
+    fakeRuntime.buttons.set(id, this)
+  }
+
+  remove() {
+    this.removed = true
+    if (fakeRuntime.buttons.get(this.id) === this) {
+      fakeRuntime.buttons.delete(this.id)
+    }
+  }
+
+  simulatePressed() {
+    this.emit("pressed")
+  }
+}
+
+export const fakeRuntime = {
+  // Everything that currently exists, by ID
+  assignments: new Map<string, FakeAssignment>(),
+  buttons: new Map<string, FakeButtonType>(),
+  notifications: [] as string[],
+  settings: {} as Record<string, unknown>,
+
+  reset() {
+    this.assignments.clear()
+    this.buttons.clear()
+    this.notifications = []
+    this.settings = {}
+  },
+}
+
+const wnd = globalThis as any
+wnd.$MM = {
+  showNotification: (message: string) => {
+    fakeRuntime.notifications.push(message)
+  },
+  getSettings: () => Promise.resolve({ ...fakeRuntime.settings }),
+  setSettingsStatus: () => {},
+}
+
+const fakeMidiMixerPlugin = {
+  Assignment: FakeAssignment,
+  ButtonType: FakeButtonType,
+}
+
+// Hand out our fakes whenever someone asks for midi-mixer-plugin
+const moduleLoader = Module as any
+const load = moduleLoader._load
+moduleLoader._load = function (request: string, ...rest: unknown[]) {
+  if (request === "midi-mixer-plugin") return fakeMidiMixerPlugin
+  return load.call(this, request, ...rest)
+}
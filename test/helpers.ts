@@ -0,0 +1,76 @@
+import { after } from "node:test"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import WebSocket from "ws"
+import WaveLinkClient from "../src/WaveLinkClient"
+import MockWaveLinkServer, {
+  MockServerOptions,
+} from "../mock/MockWaveLinkServer"
+
+// Give node.js Websocket superpowers, same as main.ts
+const wnd = globalThis as any
+wnd.WebSocket = WebSocket
+
+// Keep whatever the plugin saves (scenes, last port) out of the real AppData
+const appData = fs.mkdtempSync(path.join(os.tmpdir(), "wave-xlr-test-"))
+process.env.APPDATA = appData
+after(() => fs.rmSync(appData, { recursive: true, force: true }))
+
+// NB: Well away from Wave Link's own ports, in case it's running on this box
+export const testPort = 18240
+
+export async function startServer(options: MockServerOptions = {}) {
+  const server = new MockWaveLinkServer({ port: testPort, ...options })
+  await server.listen()
+  return server
+}
+
+// A client that will find the mock server on its first try
+export function createClient(server: MockWaveLinkServer) {
+  const client: any = new WaveLinkClient("windows")
+  client.startPort = client.endPort = client.port = server.port
+  client.reconnectDelay = 50
+
+  return client
+}
+
+export async function connectClient(server: MockWaveLinkServer) {
+  const client = createClient(server)
+
+  await client.tryToConnect()
+  await client.getMixers()
+  await client.getMonitoringState()
+
+  return client
+}
+
+export function waitFor(condition: () => unknown, timeout = 2000) {
+  const start = Date.now()
+
+  return new Promise<void>((res, rej) => {
+    const check = () => {
+      if (condition()) return res()
+      if (Date.now() - start > timeout) {
+        return rej(new Error(`Timed out waiting for ${condition}`))
+      }
+
+      setTimeout(check, 10)
+    }
+
+    check()
+  })
+}
+
+export function nextEvent(client: any, name: string) {
+  return new Promise<any>((res) => {
+    const unsubscribe = client.on(name, (data: any) => {
+      unsubscribe()
+      res(data)
+    })
+  })
+}
+
+export function delay(ms: number) {
+  return new Promise((res) => setTimeout(res, ms))
+}
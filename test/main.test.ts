@@ -0,0 +1,503 @@
+// NB: Must come first, see fakeMidiMixer.ts
+import { fakeRuntime } from "./fakeMidiMixer"
+
+import { afterEach, beforeEach, describe, it } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs"
+import { initialize } from "../src/main"
+import MockWaveLinkServer, { mockChannel } from "../mock/MockWaveLinkServer"
+import { dataFile, loadLastPort } from "../src/storage"
+import { createClient, nextEvent, startServer, waitFor } from "./helpers"
+
+const system = "pcm_out_01_v_00_sd2"
+const music = "pcm_out_01_v_02_sd3"
+const sfx = "pcm_out_01_v_08_sd6"
+
+const assignment = (id: string) => {
+  const ret = fakeRuntime.assignments.get(id)
+  assert.ok(ret, `No assignment ${id}`)
+  return ret
+}
+
+const button = (id: string) => {
+  const ret = fakeRuntime.buttons.get(id)
+  assert.ok(ret, `No button ${id}`)
+  return ret
+}
+
+describe("main", () => {
+  let server: MockWaveLinkServer
+  let client: any
+
+  beforeEach(async () => {
+    fakeRuntime.reset()
+    server = await startServer()
+    client = createClient(server)
+
+    await initialize(client)
+  })
+
+  afterEach(async () => {
+    client.disconnect()
+    await server.close()
+  })
+
+  it("remembers the port Wave Link was found on", () => {
+    assert.equal(loadLastPort(), server.port)
+  })
+
+  describe("connection", () => {
+    it("lights up the connection button while connected", async () => {
+      assert.equal(button("wavelink_connected").active, true)
+
+      server.dropConnections()
+      await waitFor(() => !button("wavelink_connected").active)
+      await waitFor(() => button("wavelink_connected").active)
+    })
+
+    it("tells the user when the connection drops and comes back", async () => {
+      server.dropConnections()
+      await waitFor(() =>
+        fakeRuntime.notifications.includes("Reconnected to Wave Link")
+      )
+
+      assert.ok(
+        fakeRuntime.notifications.some((x) =>
+          x.startsWith("Lost the connection")
+        )
+      )
+    })
+  })
+
+  describe("faders", () => {
+    it("creates a Headphone and a Stream fader for every channel", () => {
+      server.state.channels.forEach((channel) => {
+        assert.equal(
+          assignment(`${channel.mixId}_local`).name,
+          `${channel.mixerName} - Headphone`
+        )
+        assert.equal(
+          assignment(`${channel.mixId}_stream`).name,
+          `${channel.mixerName} - Stream`
+        )
+      })
+    })
+
+    it("creates output and mic faders", () => {
+      assert.equal(assignment("wavelink_monitor_mix_volume").volume, 1)
+      assert.equal(assignment("wavelink_stream_mix_volume").volume, 1)
+      assert.equal(assignment("wavelink_mic_gain").volume, 0.5)
+      assert.equal(assignment("wavelink_mic_output_volume").volume, 0.8)
+    })
+
+    it("leaves out the Volume Up / Down buttons unless asked for", () => {
+      const stepButtons = [...fakeRuntime.buttons.keys()].filter((x) =>
+        /_(up|down)$/.test(x)
+      )
+      assert.deepEqual(stepButtons, [])
+    })
+
+    it("sets the channel volume when a fader moves", async () => {
+      assignment(`${music}_local`).simulateVolumeChanged(0.42)
+
+      await waitFor(() => server.findChannel(music)!.localVolumeIn === 42)
+      assert.equal(server.findChannel(music)!.streamVolumeIn, 100)
+    })
+
+    it("mutes the channel when mute is pressed", async () => {
+      assignment(`${music}_stream`).simulateMutePressed()
+
+      await waitFor(() => server.findChannel(music)!.isStreamInMuted)
+      assert.equal(server.findChannel(music)!.isLocalInMuted, false)
+    })
+
+    it("follows the mute state when mute is pressed", async () => {
+      const fader = assignment(`${music}_local`)
+
+      fader.simulateMutePressed()
+      await waitFor(() => server.findChannel(music)!.isLocalInMuted)
+      assert.equal(fader.muted, true)
+
+      fader.simulateMutePressed()
+      await waitFor(() => !server.findChannel(music)!.isLocalInMuted)
+      assert.equal(fader.muted, false)
+    })
+
+    it("sets the output volume when a fader moves", async () => {
+      assignment("wavelink_stream_mix_volume").simulateVolumeChanged(0.3)
+
+      await waitFor(() => server.state.output.streamVolumeOut === 30)
+    })
+
+    it("moves the faders when Wave Link changes", async () => {
+      server.setChannel(music, { streamVolumeIn: 30, isStreamInMuted: true })
+
+      const fader = assignment(`${music}_stream`)
+      await waitFor(() => fader.volume === 0.3 && fader.muted)
+    })
+
+    it("moves the output faders when Wave Link changes", async () => {
+      server.setOutput({ localVolumeOut: 60 })
+
+      const fader = assignment("wavelink_monitor_mix_volume")
+      await waitFor(() => fader.volume === 0.6)
+    })
+  })
+
+  describe("buttons", () => {
+    it("toggles a filter", async () => {
+      button(`${music}_filter_1`).simulatePressed()
+      await waitFor(() => !server.findChannel(music)!.filters[0].active)
+
+      server.setChannel(music, {
+        filters: [{ ...server.findChannel(music)!.filters[0], active: true }],
+      })
+      await waitFor(() => button(`${music}_filter_1`).active)
+    })
+
+    it("toggles between the Monitor and Stream mix", async () => {
+      const toggle = button("toggleMonitorState")
+      assert.equal(toggle.active, false)
+
+      toggle.simulatePressed()
+      await waitFor(() => server.state.switchState === "StreamMix")
+      await waitFor(() => toggle.active)
+
+      server.setSwitchState("LocalMix")
+      await waitFor(() => !toggle.active)
+    })
+
+    it("names headphone output buttons after the device", async () => {
+      const device = "Speakers (Realtek High Definition Audio)"
+      server.setMonitorMixList([device])
+
+      const id = "monitorMixOutput_speakers_realtek_high_definition_audio_"
+      await waitFor(() => fakeRuntime.buttons.has(id))
+      assert.equal(
+        button(id).name,
+        "Headphone Output: Speakers (Realtek High Def…"
+      )
+    })
+
+    it("toggles Lowcut", async () => {
+      button("toggleMicLowcut").simulatePressed()
+
+      await waitFor(() => server.state.micSettings.isMicrophoneLowcutOn)
+    })
+  })
+
+  describe("without a microphone", () => {
+    beforeEach(async () => {
+      client.disconnect()
+      fakeRuntime.reset()
+
+      server.state.isMicrophoneConnected = false
+      client = createClient(server)
+      await initialize(client)
+    })
+
+    it("leaves out the mic faders", () => {
+      assert.equal(fakeRuntime.assignments.has("wavelink_mic_gain"), false)
+      assert.equal(fakeRuntime.buttons.has("toggleMicLowcut"), false)
+    })
+
+    it("adds them when one is plugged in", async () => {
+      server.setMicrophoneConnected(true)
+      await waitFor(() => fakeRuntime.assignments.has("wavelink_mic_gain"))
+
+      assert.ok(fakeRuntime.buttons.has("toggleMicLowcut"))
+    })
+  })
+
+  describe("microphone state that can't be read", () => {
+    beforeEach(async () => {
+      client.disconnect()
+      fakeRuntime.reset()
+
+      server.handle("getMicrophoneState", () => {
+        throw new Error("Nope")
+      })
+      client = createClient(server)
+      await initialize(client)
+    })
+
+    it("still has the mic faders", () => {
+      assert.ok(fakeRuntime.assignments.has("wavelink_mic_gain"))
+      assert.equal(
+        assignment("wavelink_mic_gain").volume,
+        server.state.micSettings.microphoneGain / 100
+      )
+    })
+  })
+
+  describe("older Wave Link", () => {
+    beforeEach(async () => {
+      client.disconnect()
+      fakeRuntime.reset()
+
+      server.state.applicationInfo.interfaceRevision = 2
+      server.unhandle("getMonitorMixOutputList")
+      client = createClient(server)
+      await initialize(client)
+    })
+
+    it("leaves out the filter bypass buttons", () => {
+      assert.equal(fakeRuntime.buttons.has(`${music}_bypass_all`), false)
+      assert.ok(fakeRuntime.buttons.has(`${music}_filter_1`))
+    })
+
+    it("leaves out the mic controls", () => {
+      assert.equal(fakeRuntime.assignments.has("wavelink_mic_gain"), false)
+      assert.equal(fakeRuntime.buttons.has("toggleMicLowcut"), false)
+      assert.equal(fakeRuntime.buttons.has("toggleMicClipguard"), false)
+    })
+
+    it("leaves out the headphone output buttons", () => {
+      assert.equal(fakeRuntime.buttons.has("cycleMonitorMixOutput"), false)
+    })
+
+    it("adds them when Wave Link gets updated", async () => {
+      server.state.applicationInfo.interfaceRevision = 3
+
+      const reconnected = nextEvent(client, "reconnected")
+      server.dropConnections()
+      await reconnected
+
+      assert.ok(fakeRuntime.buttons.has(`${music}_bypass_all`))
+      assert.ok(fakeRuntime.assignments.has("wavelink_mic_gain"))
+      assert.ok(fakeRuntime.buttons.has("toggleMicLowcut"))
+    })
+  })
+
+  describe("Wave Link without something after all", () => {
+    it("removes the mic controls", async () => {
+      server.unhandle("setMicrophoneSettings")
+
+      button("toggleMicLowcut").simulatePressed()
+      await waitFor(() => !fakeRuntime.buttons.has("toggleMicLowcut"))
+
+      assert.equal(fakeRuntime.assignments.has("wavelink_mic_gain"), false)
+    })
+
+    it("removes the headphone output buttons", async () => {
+      server.unhandle("setMonitorMixOutput")
+
+      button("cycleMonitorMixOutput").simulatePressed()
+      await waitFor(() => !fakeRuntime.buttons.has("cycleMonitorMixOutput"))
+
+      assert.equal(
+        [...fakeRuntime.buttons.keys()].some((x) =>
+          x.startsWith("monitorMixOutput_")
+        ),
+        false
+      )
+    })
+  })
+
+  describe("scenes", () => {
+    beforeEach(async () => {
+      client.disconnect()
+      fakeRuntime.reset()
+
+      fakeRuntime.settings = { sceneNames: "Intro" }
+      client = createClient(server)
+      await initialize(client)
+    })
+
+    afterEach(() => {
+      fs.rmSync(dataFile("scenes.json"), { recursive: true, force: true })
+    })
+
+    it("tells the user when a scene can't be saved", () => {
+      // NB: Can't write a file where there's a directory
+      fs.mkdirSync(dataFile("scenes.json"), { recursive: true })
+
+      button("scene_save_intro").simulatePressed()
+
+      assert.ok(
+        fakeRuntime.notifications.some((x) =>
+          x.startsWith("Couldn't save scene Intro")
+        )
+      )
+    })
+  })
+
+  describe("pickup mode", () => {
+    beforeEach(async () => {
+      client.disconnect()
+      fakeRuntime.reset()
+
+      fakeRuntime.settings = { pickupFaders: "Music - Headphone" }
+      client = createClient(server)
+      await initialize(client)
+    })
+
+    it("ignores the fader until it picks up Wave Link's volume", async () => {
+      const fader = assignment(`${music}_local`)
+      server.setChannel(music, { localVolumeIn: 50 })
+      await waitFor(() => fader.volume === 0.5)
+
+      fader.simulateVolumeChanged(0.2)
+      assert.equal(fader.volume, 0.5)
+      assert.equal(client.getMixer(music).localVolIn, 50)
+
+      fader.simulateVolumeChanged(0.5)
+      fader.simulateVolumeChanged(0.3)
+      await waitFor(() => server.findChannel(music)!.localVolumeIn === 30)
+    })
+
+    it("leaves other faders alone", async () => {
+      assignment(`${music}_stream`).simulateVolumeChanged(0.2)
+
+      await waitFor(() => server.findChannel(music)!.streamVolumeIn === 20)
+    })
+  })
+
+  describe("volume curves", () => {
+    beforeEach(async () => {
+      client.disconnect()
+      fakeRuntime.reset()
+
+      fakeRuntime.settings = { volumeCurves: "Music: 0=0 50=20 100=100" }
+      client = createClient(server)
+      await initialize(client)
+    })
+
+    it("applies the curve to the fader", async () => {
+      assignment(`${music}_stream`).simulateVolumeChanged(0.5)
+
+      await waitFor(() => server.findChannel(music)!.streamVolumeIn === 20)
+    })
+
+    it("applies the curve to changes from Wave Link", async () => {
+      const fader = assignment(`${music}_local`)
+      server.setChannel(music, { localVolumeIn: 60 })
+
+      await waitFor(() => fader.volume === 0.75)
+    })
+  })
+
+  describe("volume limits", () => {
+    beforeEach(async () => {
+      client.disconnect()
+      fakeRuntime.reset()
+
+      fakeRuntime.settings = { volumeLimits: "Music - Stream: 20-70" }
+      client = createClient(server)
+      await initialize(client)
+    })
+
+    it("maps the whole fader to the limits", async () => {
+      const fader = assignment(`${music}_stream`)
+
+      fader.simulateVolumeChanged(1)
+      await waitFor(() => server.findChannel(music)!.streamVolumeIn === 70)
+
+      fader.simulateVolumeChanged(0)
+      await waitFor(() => server.findChannel(music)!.streamVolumeIn === 20)
+    })
+
+    it("puts the fader where Wave Link's volume is within the limits", async () => {
+      const fader = assignment(`${music}_stream`)
+      server.setChannel(music, { streamVolumeIn: 45 })
+
+      await waitFor(() => fader.volume === 0.5)
+    })
+  })
+
+  describe("encoders", () => {
+    beforeEach(async () => {
+      client.disconnect()
+      fakeRuntime.reset()
+
+      fakeRuntime.settings = {
+        relativeFaders: "Music - Stream, Stream Mix Volume",
+        stepButtons: "Music - Headphone, Monitor Mix Volume",
+        volumeAcceleration: "0",
+      }
+      client = createClient(server)
+      await initialize(client)
+    })
+
+    it("steps channels with the Volume Up / Down buttons", async () => {
+      assert.equal(
+        button(`${music}_local_down`).name,
+        "Volume Down on Music - Headphone"
+      )
+
+      button(`${music}_local_down`).simulatePressed()
+      await waitFor(() => server.findChannel(music)!.localVolumeIn === 98)
+
+      button(`${music}_local_up`).simulatePressed()
+      await waitFor(() => server.findChannel(music)!.localVolumeIn === 100)
+    })
+
+    it("only gives the faders that want them step buttons", () => {
+      assert.ok(fakeRuntime.buttons.has(`${music}_local_up`))
+      assert.ok(fakeRuntime.buttons.has(`${music}_stream_up`))
+      assert.ok(fakeRuntime.buttons.has("wavelink_monitor_mix_volume_up"))
+      assert.ok(fakeRuntime.buttons.has("wavelink_stream_mix_volume_up"))
+      assert.equal(fakeRuntime.buttons.has(`${system}_local_up`), false)
+    })
+
+    it("steps the output mixes with the Volume Up / Down buttons", async () => {
+      button("wavelink_monitor_mix_volume_down").simulatePressed()
+
+      await waitFor(() => server.state.output.localVolumeOut === 98)
+    })
+
+    it("steps relative faders and puts them back in the middle", async () => {
+      const fader = assignment(`${music}_stream`)
+      assert.equal(fader.volume, 0.5)
+
+      fader.simulateVolumeChanged(0.49)
+      await waitFor(() => server.findChannel(music)!.streamVolumeIn === 98)
+      assert.equal(fader.volume, 0.5)
+
+      server.setChannel(music, { streamVolumeIn: 10 })
+      await waitFor(() => client.getMixer(music).streamVolIn === 10)
+      assert.equal(fader.volume, 0.5)
+    })
+
+    it("steps relative output faders", async () => {
+      assignment("wavelink_stream_mix_volume").simulateVolumeChanged(0.49)
+
+      await waitFor(() => server.state.output.streamVolumeOut === 98)
+    })
+  })
+
+  describe("channels", () => {
+    it("adds faders for new channels", async () => {
+      server.addChannel(mockChannel(sfx, "SFX"))
+
+      await waitFor(() => fakeRuntime.assignments.has(`${sfx}_local`))
+      assert.equal(assignment(`${sfx}_stream`).name, "SFX - Stream")
+      assert.ok(fakeRuntime.buttons.has(`${sfx}_bypass_all`))
+    })
+
+    it("removes faders and buttons for deleted channels", async () => {
+      const fader = assignment(`${music}_local`)
+      server.removeChannel(music)
+
+      await waitFor(() => fader.removed)
+      assert.ok(!fakeRuntime.assignments.has(`${music}_stream`))
+      assert.ok(!fakeRuntime.buttons.has(`${music}_filter_1`))
+      assert.ok(!fakeRuntime.buttons.has(`${music}_bypass_local`))
+    })
+
+    it("renames channels without recreating their faders", async () => {
+      const fader = assignment(`${music}_local`)
+      const others = [...fakeRuntime.assignments.values()]
+
+      server.setChannels(
+        server.state.channels.map((x) =>
+          x.mixId === music ? { ...x, mixerName: "Tunes" } : x
+        )
+      )
+
+      await waitFor(() => fader.name === "Tunes - Headphone")
+      assert.equal(fader.removed, false)
+      others.forEach((x) => assert.equal(x.removed, false))
+    })
+  })
+})
@@ -0,0 +1,40 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import Pickup from "../src/pickup"
+
+describe("Pickup", () => {
+  it("ignores the fader until it reaches Wave Link's volume", () => {
+    const pickup = new Pickup(0.5)
+
+    assert.equal(pickup.accept(0.2), false)
+    assert.equal(pickup.accept(0.3), false)
+    assert.equal(pickup.accept(0.49), true)
+    assert.equal(pickup.accept(0.2), true)
+  })
+
+  it("picks up when the fader jumps across Wave Link's volume", () => {
+    const pickup = new Pickup(0.5)
+
+    assert.equal(pickup.accept(0.2), false)
+    assert.equal(pickup.accept(0.8), true)
+  })
+
+  it("lets go when Wave Link moves on its own", () => {
+    const pickup = new Pickup(0.5)
+    pickup.accept(0.5)
+
+    pickup.moved(0.9)
+    assert.equal(pickup.isEngaged, false)
+    assert.equal(pickup.accept(0.6), false)
+    assert.equal(pickup.accept(0.95), true)
+  })
+
+  it("stays engaged when our own changes come back", () => {
+    const pickup = new Pickup(0.5)
+    pickup.accept(0.5)
+    pickup.accept(0.423)
+
+    pickup.moved(0.42)
+    assert.equal(pickup.isEngaged, true)
+  })
+})
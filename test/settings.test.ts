@@ -0,0 +1,116 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import {
+  defaultSettings,
+  forFader,
+  matchesFader,
+  parseSettings,
+} from "../src/settings"
+import { linear, log } from "../src/curves"
+
+describe("parseSettings", () => {
+  it("uses the defaults when nothing is set", () => {
+    assert.deepEqual(parseSettings({}), defaultSettings)
+  })
+
+  it("parses what the user typed in", () => {
+    const settings = parseSettings({
+      host: " 192.168.1.20 ",
+      startPort: "1900",
+      endPort: "1905",
+      retryDelay: "10",
+      sceneNames: "Intro,, Outro ",
+      pickupFaders: "Game - Stream, Voice Chat",
+      volumeCurves: "Music: log, Game - Stream: 0=0 50=20 100=100, SFX: loud",
+      volumeLimits: "Game - Stream: 0-70, Voice Chat: 20-100, SFX: 80-",
+      relativeFaders: "Music, Monitor Mix Volume",
+      stepButtons: "Game - Stream",
+      volumeStep: "5",
+      volumeAcceleration: "0",
+    })
+
+    assert.equal(settings.host, "192.168.1.20")
+    assert.equal(settings.startPort, 1900)
+    assert.equal(settings.endPort, 1905)
+    assert.equal(settings.retryDelay, 10)
+    assert.deepEqual(settings.sceneNames, ["Intro", "Outro"])
+    assert.deepEqual(settings.pickupFaders, ["Game - Stream", "Voice Chat"])
+    assert.deepEqual(
+      settings.volumeCurves.map((x) => x.fader),
+      ["Music", "Game - Stream"]
+    )
+    assert.deepEqual(settings.volumeLimits, [
+      { fader: "Game - Stream", value: { min: 0, max: 70 } },
+      { fader: "Voice Chat", value: { min: 20, max: 100 } },
+    ])
+    assert.deepEqual(settings.relativeFaders, ["Music", "Monitor Mix Volume"])
+    assert.deepEqual(settings.stepButtons, ["Game - Stream"])
+    assert.equal(settings.volumeStep, 5)
+    assert.equal(settings.volumeAcceleration, 0)
+  })
+
+  it("falls back to the defaults for garbage", () => {
+    const settings = parseSettings({
+      host: "",
+      startPort: "nope",
+      maxRetries: "-1",
+    })
+
+    assert.equal(settings.host, defaultSettings.host)
+    assert.equal(settings.startPort, defaultSettings.startPort)
+    assert.equal(settings.maxRetries, defaultSettings.maxRetries)
+  })
+
+  it("never retries without waiting", () => {
+    const settings = parseSettings({ retryDelay: "0", reconnectDelay: "-5" })
+
+    assert.equal(settings.retryDelay, defaultSettings.retryDelay)
+    assert.equal(settings.reconnectDelay, defaultSettings.reconnectDelay)
+  })
+
+  it("never steps by 0", () => {
+    const settings = parseSettings({ volumeStep: "0" })
+
+    assert.equal(settings.volumeStep, defaultSettings.volumeStep)
+  })
+
+  it("never ends the port range before it starts", () => {
+    const settings = parseSettings({ startPort: "2000", endPort: "1999" })
+
+    assert.equal(settings.endPort, 2000)
+  })
+})
+
+describe("matchesFader", () => {
+  it("matches fader names, channel names and *", () => {
+    assert.ok(matchesFader(["game - stream"], "Game - Stream", "Game"))
+    assert.ok(matchesFader(["Game"], "Game - Headphone", "Game"))
+    assert.ok(matchesFader(["*"], "Monitor Mix Volume"))
+    assert.equal(
+      matchesFader(["Game - Stream"], "Game - Headphone", "Game"),
+      false
+    )
+    assert.equal(matchesFader([], "Game - Stream", "Game"), false)
+  })
+})
+
+describe("forFader", () => {
+  const settings = [
+    { fader: "*", value: linear },
+    { fader: "game", value: log },
+    { fader: "Game - Stream", value: linear },
+  ]
+
+  it("prefers the fader over its channel over *", () => {
+    assert.equal(forFader(settings, "Game - Stream", "Game"), linear)
+    assert.equal(forFader(settings, "Game - Headphone", "Game"), log)
+    assert.equal(forFader(settings, "Monitor Mix Volume"), linear)
+  })
+
+  it("has nothing for faders that aren't listed", () => {
+    assert.equal(
+      forFader(settings.slice(1), "Music - Stream", "Music"),
+      undefined
+    )
+  })
+})